@@ -0,0 +1,167 @@
+/**
+ * @author Frederico Gonçalves (https://github.com/freddykrunn/)
+ * @license MIT
+ * Mesh file serializers of the 3D Matrix Height Map (OBJ, ASCII STL and glTF 2.0, no THREE/DOM dependencies, usable in Node)
+ *
+ * The serializers take the parts of the mesh:
+ * {
+ *  name: string, // name of the part (e.g. "surface")
+ *  positions: number[], // x, y, z of every vertex
+ *  colors: number[], // r, g, b of every vertex (sRGB, [0, 1])
+ *  indices: number[] // 3 vertex indices per triangle (front face counter-clockwise)
+ * }[]
+ */
+var MatrixHeightMapMesh = {
+
+    /**
+     * Format a number of a text mesh file (6 decimals, no trailing zeros)
+     */
+    formatNumber: function(value) {
+        return String(Math.round(value * 1000000) / 1000000);
+    },
+
+    /**
+     * Export the mesh parts as Wavefront OBJ (vertex colors as 'v x y z r g b')
+     * @returns {string} the file content
+     */
+    exportOBJ: function(parts) {
+        var lines = ["# MatrixHeightMap"];
+        var offset = 1;
+        var f = (value) => this.formatNumber(value);
+        for (const part of parts) {
+            lines.push(`o ${part.name}`);
+            for (var i = 0; i < part.positions.length; i += 3) {
+                lines.push(`v ${f(part.positions[i])} ${f(part.positions[i + 1])} ${f(part.positions[i + 2])} ${f(part.colors[i])} ${f(part.colors[i + 1])} ${f(part.colors[i + 2])}`);
+            }
+            for (var i = 0; i < part.indices.length; i += 3) {
+                lines.push(`f ${part.indices[i] + offset} ${part.indices[i + 1] + offset} ${part.indices[i + 2] + offset}`);
+            }
+            offset += part.positions.length / 3;
+        }
+        return lines.join("\n") + "\n";
+    },
+
+    /**
+     * Export the mesh parts as ASCII STL (no colors in the format)
+     * @returns {string} the file content
+     */
+    exportSTL: function(parts) {
+        var lines = ["solid matrix_heightmap"];
+        var f = (value) => this.formatNumber(value);
+        var vertex = (positions, index) => positions.slice(index * 3, (index * 3) + 3);
+        var a, b, c, u, v, normal, length;
+        for (const part of parts) {
+            for (var i = 0; i < part.indices.length; i += 3) {
+                a = vertex(part.positions, part.indices[i]);
+                b = vertex(part.positions, part.indices[i + 1]);
+                c = vertex(part.positions, part.indices[i + 2]);
+                // (b - a) x (c - a)
+                u = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+                v = [c[0] - a[0], c[1] - a[1], c[2] - a[2]];
+                normal = [(u[1] * v[2]) - (u[2] * v[1]), (u[2] * v[0]) - (u[0] * v[2]), (u[0] * v[1]) - (u[1] * v[0])];
+                length = Math.sqrt((normal[0] * normal[0]) + (normal[1] * normal[1]) + (normal[2] * normal[2])) || 1;
+                lines.push(`  facet normal ${f(normal[0] / length)} ${f(normal[1] / length)} ${f(normal[2] / length)}`);
+                lines.push("    outer loop");
+                for (const point of [a, b, c]) {
+                    lines.push(`      vertex ${f(point[0])} ${f(point[1])} ${f(point[2])}`);
+                }
+                lines.push("    endloop");
+                lines.push("  endfacet");
+            }
+        }
+        lines.push("endsolid matrix_heightmap");
+        return lines.join("\n") + "\n";
+    },
+
+    /**
+     * Export the mesh parts as glTF 2.0 (JSON with an embedded buffer, unlit material with linear vertex colors)
+     * @returns {string} the file content
+     */
+    exportGLTF: function(parts) {
+        var toLinear = (value) => value <= 0.04045 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+        var arrays = [];
+        var bufferViews = [];
+        var accessors = [];
+        var primitives = [];
+        var byteLength = 0;
+        var addAccessor = (array, type, componentType, target, bounds) => {
+            var accessor = {bufferView: bufferViews.length, componentType: componentType, count: array.length / (type === "VEC3" ? 3 : 1), type: type};
+            if (bounds) {
+                accessor.min = [Infinity, Infinity, Infinity];
+                accessor.max = [-Infinity, -Infinity, -Infinity];
+                for (var i = 0; i < array.length; i++) {
+                    accessor.min[i % 3] = Math.min(accessor.min[i % 3], array[i]);
+                    accessor.max[i % 3] = Math.max(accessor.max[i % 3], array[i]);
+                }
+            }
+            bufferViews.push({buffer: 0, byteOffset: byteLength, byteLength: array.byteLength, target: target});
+            accessors.push(accessor);
+            arrays.push(array);
+            byteLength += array.byteLength;
+            return accessors.length - 1;
+        };
+
+        for (const part of parts) {
+            primitives.push({
+                attributes: {
+                    POSITION: addAccessor(new Float32Array(part.positions), "VEC3", 5126, 34962, true),
+                    COLOR_0: addAccessor(new Float32Array(part.colors.map(toLinear)), "VEC3", 5126, 34962, false)
+                },
+                indices: addAccessor(new Uint32Array(part.indices), "SCALAR", 5125, 34963, false),
+                material: 0,
+                mode: 4
+            });
+        }
+
+        var bytes = new Uint8Array(byteLength);
+        var offset = 0;
+        for (const array of arrays) {
+            bytes.set(new Uint8Array(array.buffer, array.byteOffset, array.byteLength), offset);
+            offset += array.byteLength;
+        }
+        var binary = "";
+        for (var i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+
+        return JSON.stringify({
+            asset: {version: "2.0", generator: "MatrixHeightMap"},
+            extensionsUsed: ["KHR_materials_unlit"],
+            scene: 0,
+            scenes: [{nodes: [0]}],
+            nodes: [{name: "matrix_heightmap", mesh: 0}],
+            meshes: [{name: parts.map((part) => part.name).join("+"), primitives: primitives}],
+            materials: [{
+                name: "vertex_colors",
+                pbrMetallicRoughness: {baseColorFactor: [1, 1, 1, 1], metallicFactor: 0, roughnessFactor: 1},
+                doubleSided: true,
+                extensions: {KHR_materials_unlit: {}}
+            }],
+            buffers: [{byteLength: byteLength, uri: "data:application/octet-stream;base64," + btoa(binary)}],
+            bufferViews: bufferViews,
+            accessors: accessors
+        });
+    },
+
+    /**
+     * Export the mesh parts
+     * @param {"obj" | "stl" | "gltf"} format the file format
+     * @returns {string} the file content
+     */
+    export: function(format, parts) {
+        switch (format) {
+            case "obj":
+                return this.exportOBJ(parts);
+            case "stl":
+                return this.exportSTL(parts);
+            case "gltf":
+                return this.exportGLTF(parts);
+            default:
+                throw new Error(`MatrixHeightMap: unknown mesh format "${format}"`);
+        }
+    }
+};
+
+if (typeof(module) !== "undefined" && module.exports) {
+    module.exports = MatrixHeightMapMesh;
+}
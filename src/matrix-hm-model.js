@@ -0,0 +1,1650 @@
+/**
+ * @author Frederico Gonçalves (https://github.com/freddykrunn/)
+ * @license MIT
+ * Headless data model of the 3D Matrix Height Map (no THREE/DOM dependencies, usable in Node)
+ * x - represents the columns
+ * y - represents the rows
+ *
+ * The values are stored normalized ([0, 1] between min and max) and clamped to that range. Cells with no data
+ * (null or NaN in the data) are kept as null
+ *
+ * @param {object} params the params for the initialization
+ * {
+ *  min: number // min value of each matrix slot
+ *  max: number, // max value of each matrix slot (can be equal to min, every value is then 'min')
+ *  unit: string, // unit of the values (optional, kept in the JSON export)
+ *  axis: object, // the axis definition (same format as the MatrixHeightMap 'axis' param)
+ *  data: number[][], // initial data (if not provided the matrix will be initialized with 'min' in every cell)
+ *  reference: number[][], // reference (baseline) data to compare the data against (optional, see 'setReference')
+ *  constraints: object // editing constraints (same format as 'setConstraints', optional)
+ * }
+ */
+function MatrixHeightMapModel(params) {
+    params = params || {};
+
+    this.ROUND_FACTOR = 100000;
+
+    this.minZ = null;
+    this.maxZ = null;
+    this.unit = params.unit != null ? params.unit : null;
+    this.setRange(params.min, params.max);
+
+    this.axisNumeric = false;
+    this.axisOptions = {};
+    if (params.axis) {
+        this._setAxisOptions(params.axis);
+        this.XAxisNames = this._parseAxisValues(params.axis.x, "x");
+        this.YAxisNames = this._parseAxisValues(params.axis.y, "y");
+    } else {
+        this.XAxisNames = ["A", "B", "C", "D", "E"];
+        this.YAxisNames = ["1", "2", "3", "4", "5"];
+    }
+
+    this.values = null;
+    this.setData(params.data);
+
+    // reference (baseline) values, same layout as 'values'
+    this.reference = null;
+    this.setReference(params.reference);
+
+    // editing locks and constraints
+    this.cellLocks = this.values.map((row) => row.map(() => false));
+    this.rowLocks = this.values.map(() => false);
+    this.columnLocks = this.values[0].map(() => false);
+    this.constraints = {step: null, monotonic: null, maxGradient: null};
+    if (params.constraints) {
+        this.setConstraints(params.constraints);
+    }
+
+    // last patch version received from every patch source (see 'applyPatch')
+    this.patchVersions = new Map();
+}
+
+MatrixHeightMapModel.prototype = {
+
+    //#region Dimensions
+
+    /**
+     * Number of columns
+     */
+    get mX() {
+        return this.XAxisNames.length;
+    },
+
+    /**
+     * Number of rows
+     */
+    get mY() {
+        return this.YAxisNames.length;
+    },
+
+    //#endregion
+
+    //#region Values
+
+    /**
+     * Convert a value (real units) to the normalized [0, 1] range (not clamped)
+     * @param {number} value the value
+     * @returns {number} the normalized value ('0' if min and max are equal)
+     */
+    normalize: function(value) {
+        if (this.maxZ === this.minZ) {
+            return 0;
+        }
+        return (value - this.minZ) / (this.maxZ - this.minZ);
+    },
+
+    /**
+     * Convert a normalized value to real units
+     * @param {number} value the normalized value
+     * @returns {number} the value
+     */
+    denormalize: function(value) {
+        return this.minZ + (value * (this.maxZ - this.minZ));
+    },
+
+    /**
+     * Clamp a normalized value to [0, 1]
+     */
+    clamp: function(value) {
+        return Math.min(1, Math.max(0, value));
+    },
+
+    /**
+     * Round a value (real units) to the precision of the exported values
+     */
+    round: function(value) {
+        return Math.round(value * this.ROUND_FACTOR) / this.ROUND_FACTOR;
+    },
+
+    /**
+     * Check if a cell exists
+     */
+    isValidCell: function(x, y) {
+        return Number.isInteger(x) && Number.isInteger(y) && x >= 0 && x < this.mX && y >= 0 && y < this.mY;
+    },
+
+    /**
+     * Check if a value is missing (no data)
+     */
+    isMissingValue: function(value) {
+        return value == null || Number.isNaN(value);
+    },
+
+    /**
+     * Check if a cell has no data
+     */
+    isMissing: function(x, y) {
+        this._checkCell(x, y);
+        return this.values[y][x] == null;
+    },
+
+    /**
+     * Get the normalized value of a cell (null if the cell has no data)
+     */
+    getNormalizedValue: function(x, y) {
+        this._checkCell(x, y);
+        return this.values[y][x];
+    },
+
+    /**
+     * Set the normalized value of a cell (clamped to [0, 1], null or NaN for no data)
+     * @returns {number} the value set
+     */
+    setNormalizedValue: function(x, y, value) {
+        this._checkCell(x, y);
+        if (this.isMissingValue(value)) {
+            this.values[y][x] = null;
+            return null;
+        }
+        this._checkNumber(value, `value of cell [${x}, ${y}]`);
+        this.values[y][x] = this.clamp(value);
+        return this.values[y][x];
+    },
+
+    /**
+     * Get the value of a cell (real units, rounded, null if the cell has no data)
+     */
+    getValue: function(x, y) {
+        return this._toRealValue(this.getNormalizedValue(x, y));
+    },
+
+    /**
+     * Set the value of a cell (real units, clamped to [min, max], null or NaN for no data)
+     * @returns {number} the value set (real units, rounded)
+     */
+    setValue: function(x, y, value) {
+        if (!this.isMissingValue(value)) {
+            this._checkNumber(value, `value of cell [${x}, ${y}]`);
+        }
+        return this._toRealValue(this.setNormalizedValue(x, y, this.isMissingValue(value) ? null : this.normalize(value)));
+    },
+
+    /**
+     * Get the matrix data
+     * @returns {number[][]} the matrix values (real units, rounded, null for the cells with no data)
+     */
+    getData: function() {
+        return this.values.map((row) => row.map((value) => this._toRealValue(value)));
+    },
+
+    /**
+     * Set the matrix data (values out of [min, max] are clamped, null and NaN values are kept as no data).
+     * The dimensions must match the axis, otherwise an Error listing the problems found is thrown
+     * (also available as 'error.errors') and the data is not changed
+     * @param {number[][]} data the matrix data (if not provided every cell is set to 'min')
+     */
+    setData: function(data) {
+        if (data != null) {
+            this.validateData(data);
+        }
+
+        this.values = new Array(this.mY);
+        for (var y = 0; y < this.mY; y++) {
+            this.values[y] = new Array(this.mX);
+            for (var x = 0; x < this.mX; x++) {
+                if (data == null) {
+                    this.values[y][x] = 0;
+                } else {
+                    this.values[y][x] = this.isMissingValue(data[y][x]) ? null : this.clamp(this.normalize(data[y][x]));
+                }
+            }
+        }
+    },
+
+    /**
+     * Convert a normalized value to real units (rounded, null stays null)
+     */
+    _toRealValue: function(value) {
+        return value != null ? this.round(this.denormalize(value)) : null;
+    },
+
+    /**
+     * Validate matrix data (dimensions and values) without changing the model
+     * @param {number[][]} data the matrix data
+     * @param {number} columns expected number of columns (default: current number of columns)
+     * @param {number} rows expected number of rows (default: current number of rows)
+     */
+    validateData: function(data, columns, rows) {
+        columns = columns != null ? columns : this.mX;
+        rows = rows != null ? rows : this.mY;
+
+        var errors = [];
+        if (!Array.isArray(data)) {
+            MatrixHeightMapModel.throwDataErrors([{row: 0, column: 0, message: "the data is not an array of rows"}]);
+        }
+        if (data.length !== rows) {
+            errors.push({row: 0, column: 0, message: `expected ${rows} rows but found ${data.length}`});
+        }
+        for (var r = 0; r < data.length; r++) {
+            if (!Array.isArray(data[r]) || data[r].length !== columns) {
+                errors.push({row: r, column: 0, message: `row ${r + 1}: expected ${columns} values but found ${Array.isArray(data[r]) ? data[r].length : 0}`});
+                continue;
+            }
+            for (var c = 0; c < data[r].length; c++) {
+                if (!this.isMissingValue(data[r][c]) && (typeof(data[r][c]) !== "number" || !Number.isFinite(data[r][c]))) {
+                    errors.push({row: r, column: c, message: `row ${r + 1}, column ${c + 1}: "${data[r][c]}" is not a number`});
+                }
+            }
+        }
+        if (errors.length > 0) {
+            MatrixHeightMapModel.throwDataErrors(errors);
+        }
+    },
+
+    /**
+     * Set the min/max range of the values (the normalized values are kept)
+     */
+    setRange: function(min, max) {
+        if (typeof(min) !== "number" || typeof(max) !== "number" || !Number.isFinite(min) || !Number.isFinite(max) || min > max) {
+            throw new Error(`MatrixHeightMap: invalid range [${min}, ${max}]`);
+        }
+        this.minZ = min;
+        this.maxZ = max;
+    },
+
+    /**
+     * Check that a cell exists
+     */
+    _checkCell: function(x, y) {
+        if (!this.isValidCell(x, y)) {
+            throw new RangeError(`MatrixHeightMap: cell [${x}, ${y}] is out of the matrix (${this.mX}x${this.mY})`);
+        }
+    },
+
+    /**
+     * Check that a value is a finite number
+     */
+    _checkNumber: function(value, name) {
+        if (typeof(value) !== "number" || !Number.isFinite(value)) {
+            throw new Error(`MatrixHeightMap: the ${name} must be a number (got ${value})`);
+        }
+    },
+
+    //#endregion
+
+    //#region Axis
+
+    /**
+     * Check an axis definition
+     */
+    _checkAxisLength: function(length, axisName) {
+        if (length < 2) {
+            throw new Error(`MatrixHeightMap: the ${axisName} axis must have at least 2 entries`);
+        }
+    },
+
+    /**
+     * Check and parse axis values (numeric breakpoints must be strictly increasing)
+     */
+    _parseAxisValues: function(values, axisName) {
+        if (!Array.isArray(values)) {
+            throw new Error(`MatrixHeightMap: the ${axisName} axis must be an array`);
+        }
+        this._checkAxisLength(values.length, axisName);
+        if (!this.axisNumeric) {
+            return values.slice();
+        }
+
+        var parsed = values.map((value) => typeof(value) === "number" ? value : parseFloat(value));
+        for (var i = 0; i < parsed.length; i++) {
+            if (!Number.isFinite(parsed[i])) {
+                throw new Error(`MatrixHeightMap: the ${axisName} axis value "${values[i]}" (index ${i}) is not a number`);
+            }
+            if (i > 0 && parsed[i] <= parsed[i - 1]) {
+                throw new Error(`MatrixHeightMap: the ${axisName} axis breakpoints must be strictly increasing (${parsed[i - 1]} >= ${parsed[i]} at index ${i})`);
+            }
+        }
+        return parsed;
+    },
+
+    /**
+     * Set axis options (numeric breakpoints, units and formatting)
+     */
+    _setAxisOptions: function(axis) {
+        if (axis.numeric != null) {
+            this.axisNumeric = axis.numeric === true;
+        }
+        for (const option of ["xUnit", "yUnit", "decimals", "format"]) {
+            if (axis[option] !== undefined) {
+                this.axisOptions[option] = axis[option];
+            }
+        }
+    },
+
+    /**
+     * Check an index for insertion/removal
+     */
+    _checkIndex: function(index, length) {
+        if (!Number.isInteger(index) || index < 0 || index >= length) {
+            throw new RangeError(`MatrixHeightMap: index ${index} is out of range [0, ${length - 1}]`);
+        }
+    },
+
+    /**
+     * Parse the name of a new axis entry (the breakpoint value on numeric axis)
+     */
+    _parseAxisEntry: function(axisName, index, name) {
+        if (!this.axisNumeric) {
+            return name != null ? name : "";
+        }
+        var axisValues = this.getAxisValues(axisName).slice();
+        axisValues.splice(index, 0, name);
+        return this._parseAxisValues(axisValues, axisName)[index];
+    },
+
+    /**
+     * Get the normalized values of a new column/row ('min' for the values not provided, null and NaN are kept as no data)
+     */
+    _createValues: function(length, values) {
+        var result = new Array(length);
+        for (var i = 0; i < length; i++) {
+            if (values == null || i >= values.length) {
+                result[i] = 0;
+            } else if (this.isMissingValue(values[i])) {
+                result[i] = null;
+            } else {
+                this._checkNumber(values[i], `value ${i}`);
+                result[i] = this.clamp(this.normalize(values[i]));
+            }
+        }
+        return result;
+    },
+
+    /**
+     * Add/remove entries at the end of a list
+     */
+    _resizeList: function(list, length, value) {
+        list.length = Math.min(list.length, length);
+        while (list.length < length) {
+            list.push(value);
+        }
+    },
+
+    /**
+     * Add/remove columns and rows at the end of a grid
+     */
+    _resizeGrid: function(grid, columns, rows, value) {
+        for (var y = 0; y < grid.length; y++) {
+            this._resizeList(grid[y], columns, value);
+        }
+        grid.length = Math.min(grid.length, rows);
+        while (grid.length < rows) {
+            grid.push(new Array(columns).fill(value));
+        }
+    },
+
+    /**
+     * Get axis values
+     * @param {"x" | "y"} axisName the axis
+     */
+    getAxisValues: function(axisName) {
+        return axisName === "x" ? this.XAxisNames : this.YAxisNames;
+    },
+
+    /**
+     * Format axis label
+     */
+    formatAxisValue: function(value, axisName) {
+        if (this.axisOptions.format) {
+            return String(this.axisOptions.format(value, axisName));
+        }
+        var text = this.axisNumeric && this.axisOptions.decimals != null ? value.toFixed(this.axisOptions.decimals) : String(value);
+        var unit = axisName === "x" ? this.axisOptions.xUnit : this.axisOptions.yUnit;
+        return unit ? text + unit : text;
+    },
+
+    /**
+     * Get the relative position [0, 1] of an axis entry (proportional to the breakpoints on numeric axis)
+     */
+    getAxisPosition: function(axisName, index) {
+        var values = this.getAxisValues(axisName);
+        if (this.axisNumeric) {
+            return (values[index] - values[0]) / (values[values.length - 1] - values[0]);
+        }
+        return index / (values.length - 1);
+    },
+
+    /**
+     * Get the relative position [0, 1] of a fractional axis index
+     */
+    getAxisPositionAt: function(axisName, index) {
+        var length = this.getAxisValues(axisName).length;
+        var i = Math.min(length - 2, Math.max(0, Math.floor(index)));
+        var start = this.getAxisPosition(axisName, i);
+        return start + ((this.getAxisPosition(axisName, i + 1) - start) * (index - i));
+    },
+
+    /**
+     * Get the fractional index of an axis coordinate (numeric axis value or axis name)
+     */
+    getFractionalIndex: function(axisName, value) {
+        var values = this.getAxisValues(axisName);
+        if (!this.axisNumeric) {
+            var index = values.indexOf(value);
+            if (index < 0) {
+                throw new Error(`MatrixHeightMap: "${value}" is not a value of the ${axisName} axis`);
+            }
+            return index;
+        }
+
+        // find the segment (the first/last segments are used to extrapolate)
+        var low = 0;
+        var high = values.length - 2;
+        var middle;
+        while (low < high) {
+            middle = Math.ceil((low + high) * 0.5);
+            if (values[middle] <= value) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+        return low + ((value - values[low]) / (values[low + 1] - values[low]));
+    },
+
+    /**
+     * Insert a column
+     * @param {number} index the index of the new column (if not provided the column is added at the end)
+     * @param {string | number} name the name of the column (the breakpoint value on numeric axis)
+     * @param {number[]} values the values of the column cells (one per row, 'min' if not provided, null or NaN for no data)
+     */
+    insertColumn: function(index, name, values) {
+        index = index != null ? index : this.mX;
+        this._checkIndex(index, this.mX + 1);
+        name = this._parseAxisEntry("x", index, name);
+
+        var columnValues = this._createValues(this.mY, values);
+        this.XAxisNames.splice(index, 0, name);
+        this.columnLocks.splice(index, 0, false);
+        for (var y = 0; y < this.values.length; y++) {
+            this.values[y].splice(index, 0, columnValues[y]);
+            this.cellLocks[y].splice(index, 0, false);
+            if (this.reference != null) {
+                // no reference value for the new cells
+                this.reference[y].splice(index, 0, null);
+            }
+        }
+    },
+
+    /**
+     * Remove a column
+     * @param {number} index the index of the column
+     */
+    removeColumn: function(index) {
+        this._checkIndex(index, this.mX);
+        this._checkAxisLength(this.mX - 1, "x");
+        this.XAxisNames.splice(index, 1);
+        this.columnLocks.splice(index, 1);
+        for (var y = 0; y < this.values.length; y++) {
+            this.values[y].splice(index, 1);
+            this.cellLocks[y].splice(index, 1);
+            if (this.reference != null) {
+                this.reference[y].splice(index, 1);
+            }
+        }
+    },
+
+    /**
+     * Insert a row
+     * @param {number} index the index of the new row (if not provided the row is added at the end)
+     * @param {string | number} name the name of the row (the breakpoint value on numeric axis)
+     * @param {number[]} values the values of the row cells (one per column, 'min' if not provided, null or NaN for no data)
+     */
+    insertRow: function(index, name, values) {
+        index = index != null ? index : this.mY;
+        this._checkIndex(index, this.mY + 1);
+        name = this._parseAxisEntry("y", index, name);
+
+        var rowValues = this._createValues(this.mX, values);
+        this.values.splice(index, 0, rowValues);
+        if (this.reference != null) {
+            this.reference.splice(index, 0, rowValues.map(() => null));
+        }
+        this.cellLocks.splice(index, 0, this.columnLocks.map(() => false));
+        this.rowLocks.splice(index, 0, false);
+        this.YAxisNames.splice(index, 0, name);
+    },
+
+    /**
+     * Remove a row
+     * @param {number} index the index of the row
+     */
+    removeRow: function(index) {
+        this._checkIndex(index, this.mY);
+        this._checkAxisLength(this.mY - 1, "y");
+        this.YAxisNames.splice(index, 1);
+        this.values.splice(index, 1);
+        if (this.reference != null) {
+            this.reference.splice(index, 1);
+        }
+        this.cellLocks.splice(index, 1);
+        this.rowLocks.splice(index, 1);
+    },
+
+    /**
+     * Set axis names. If the number of names changes, columns/rows are added or removed at the end
+     * of the matrix (the values of the remaining cells are kept in place)
+     * @param {object} axis the new axis definition (any of the axis/options can be omitted)
+     * @returns {boolean} true if the matrix dimensions changed
+     */
+    setAxis: function(axis) {
+        var previousNumeric = this.axisNumeric;
+        var previousOptions = Object.assign({}, this.axisOptions);
+        var xValues, yValues;
+        this._setAxisOptions(axis);
+        try {
+            xValues = this._parseAxisValues(axis.x != null ? axis.x : this.XAxisNames, "x");
+            yValues = this._parseAxisValues(axis.y != null ? axis.y : this.YAxisNames, "y");
+        } catch (ex) {
+            this.axisNumeric = previousNumeric;
+            this.axisOptions = previousOptions;
+            throw ex;
+        }
+
+        var resized = xValues.length !== this.mX || yValues.length !== this.mY;
+        this._resizeGrid(this.values, xValues.length, yValues.length, 0);
+        if (this.reference != null) {
+            this._resizeGrid(this.reference, xValues.length, yValues.length, null);
+        }
+        this._resizeGrid(this.cellLocks, xValues.length, yValues.length, false);
+        this._resizeList(this.columnLocks, xValues.length, false);
+        this._resizeList(this.rowLocks, yValues.length, false);
+
+        this.XAxisNames = xValues;
+        this.YAxisNames = yValues;
+        return resized;
+    },
+
+    //#endregion
+
+    //#region Constraints
+
+    /**
+     * Lock/unlock cells, rows or columns against editing (the data can still be replaced with 'setData')
+     * @param {{x: number, y: number} | {x: number, y: number}[] | {row: number} | {column: number}} target the cell(s), row or column
+     * @param {boolean} locked if the target is locked (default true)
+     */
+    setLocked: function(target, locked) {
+        locked = locked !== false;
+        if (Array.isArray(target)) {
+            for (const cell of target) {
+                this.setLocked(cell, locked);
+            }
+            return;
+        }
+
+        if (target != null && target.row != null) {
+            this._checkIndex(target.row, this.mY);
+            this.rowLocks[target.row] = locked;
+        } else if (target != null && target.column != null) {
+            this._checkIndex(target.column, this.mX);
+            this.columnLocks[target.column] = locked;
+        } else if (target != null) {
+            this._checkCell(target.x, target.y);
+            this.cellLocks[target.y][target.x] = locked;
+        } else {
+            throw new Error("MatrixHeightMap: the lock target must be a cell, a list of cells, a row or a column");
+        }
+    },
+
+    /**
+     * Check if a cell is locked (by itself or by its row/column)
+     */
+    isLocked: function(x, y) {
+        return this.cellLocks[y][x] || this.rowLocks[y] || this.columnLocks[x];
+    },
+
+    /**
+     * Get the locks
+     * @returns {{cells: {x: number, y: number}[], rows: number[], columns: number[]}} the locked cells, rows and columns
+     */
+    getLocks: function() {
+        var cells = [];
+        for (var y = 0; y < this.mY; y++) {
+            for (var x = 0; x < this.mX; x++) {
+                if (this.cellLocks[y][x]) {
+                    cells.push({x: x, y: y});
+                }
+            }
+        }
+        return {
+            cells: cells,
+            rows: this.rowLocks.reduce((rows, locked, y) => locked ? rows.concat(y) : rows, []),
+            columns: this.columnLocks.reduce((columns, locked, x) => locked ? columns.concat(x) : columns, [])
+        };
+    },
+
+    /**
+     * Remove all the locks
+     */
+    clearLocks: function() {
+        for (const row of this.cellLocks) {
+            row.fill(false);
+        }
+        this.rowLocks.fill(false);
+        this.columnLocks.fill(false);
+    },
+
+    /**
+     * Set the editing constraints (any of the constraints can be omitted to keep it, or set to null to remove it).
+     * The constraints are enforced on the edits ('constrainValue'), the data set with 'setData' is not changed
+     * @param {object} constraints {
+     *  step: number, // the values are snapped to multiples of the step (real units)
+     *  monotonic: "x" | "y" | "xy", // the values can't decrease along the axis (from the first to the last column/row)
+     *  maxGradient: number // max difference between neighbour cells (real units)
+     * }
+     */
+    setConstraints: function(constraints) {
+        var result = Object.assign({}, this.constraints, constraints);
+        if (result.step != null && (typeof(result.step) !== "number" || !(result.step > 0) || !Number.isFinite(result.step))) {
+            throw new Error(`MatrixHeightMap: the step constraint must be a number > 0 (got ${result.step})`);
+        }
+        if (result.monotonic != null && ["x", "y", "xy"].indexOf(result.monotonic) < 0) {
+            throw new Error(`MatrixHeightMap: unknown monotonic constraint "${result.monotonic}" (expected "x", "y" or "xy")`);
+        }
+        if (result.maxGradient != null && (typeof(result.maxGradient) !== "number" || !(result.maxGradient >= 0) || !Number.isFinite(result.maxGradient))) {
+            throw new Error(`MatrixHeightMap: the maxGradient constraint must be a number >= 0 (got ${result.maxGradient})`);
+        }
+        this.constraints = {step: result.step, monotonic: result.monotonic, maxGradient: result.maxGradient};
+    },
+
+    /**
+     * Get the editing constraints
+     */
+    getConstraints: function() {
+        return Object.assign({}, this.constraints);
+    },
+
+    /**
+     * Restrict an allowed range [min, max] (real units) with a bound of a constraint
+     */
+    _restrictRange: function(range, min, max, reason) {
+        if (min > range.min) {
+            range.min = min;
+            range.minReason = reason;
+        }
+        if (max < range.max) {
+            range.max = max;
+            range.maxReason = reason;
+        }
+    },
+
+    /**
+     * Apply the locks and the editing constraints to a new value of a cell (the values of the other cells
+     * are taken as they are)
+     * @param {number} x the x coordinate of the cell
+     * @param {number} y the y coordinate of the cell
+     * @param {number} value the requested normalized value (clamped to [0, 1])
+     * @param {number[][]} grid the normalized grid the neighbours are read from (the values by default)
+     * @returns {{value: number, reason: string}} the allowed normalized value and, if it's not the requested one, the reason:
+     * "locked" (the current value is kept), "monotonic", "gradient" or "step"
+     */
+    constrainValue: function(x, y, value, grid) {
+        grid = grid || this.values;
+        var current = this.getNormalizedValue(x, y);
+        value = this.isMissingValue(value) ? null : this.clamp(value);
+        if (this.isLocked(x, y)) {
+            return {value: current, reason: value !== current ? "locked" : null};
+        }
+        if (value == null) {
+            return {value: null, reason: null};
+        }
+
+        var constraints = this.constraints;
+        var range = {min: this.minZ, max: this.maxZ, minReason: null, maxReason: null};
+        var neighbour;
+        // the neighbours with no data don't constrain the value
+        var getNeighbour = (nx, ny, otherwise) => this.isValidCell(nx, ny) && grid[ny][nx] != null ? this._toRealValue(grid[ny][nx]) : otherwise;
+        if (constraints.monotonic != null) {
+            if (constraints.monotonic.indexOf("x") >= 0) {
+                this._restrictRange(range, getNeighbour(x - 1, y, -Infinity), getNeighbour(x + 1, y, Infinity), "monotonic");
+            }
+            if (constraints.monotonic.indexOf("y") >= 0) {
+                this._restrictRange(range, getNeighbour(x, y - 1, -Infinity), getNeighbour(x, y + 1, Infinity), "monotonic");
+            }
+        }
+        if (constraints.maxGradient != null) {
+            for (const offset of [[-1, 0], [1, 0], [0, -1], [0, 1]]) {
+                neighbour = getNeighbour(x + offset[0], y + offset[1], null);
+                if (neighbour != null) {
+                    this._restrictRange(range, neighbour - constraints.maxGradient, neighbour + constraints.maxGradient, "gradient");
+                }
+            }
+        }
+
+        var requested = this.round(this.denormalize(value));
+        var result = Math.min(range.max, Math.max(range.min, requested));
+        var reason = result > requested ? range.minReason : (result < requested ? range.maxReason : null);
+
+        if (constraints.step != null) {
+            var snapped = this.round(Math.round(result / constraints.step) * constraints.step);
+            if (snapped > range.max) {
+                snapped = this.round(snapped - constraints.step);
+            } else if (snapped < range.min) {
+                snapped = this.round(snapped + constraints.step);
+            }
+            if (snapped !== result) {
+                result = snapped;
+                reason = reason || "step";
+            }
+        }
+
+        // the neighbours already break the constraints (or no step fits): keep the current value
+        if (range.min > range.max || result < range.min || result > range.max) {
+            return {value: current, reason: value !== current ? (range.minReason || range.maxReason || "step") : null};
+        }
+        return {value: reason != null ? this.clamp(this.normalize(result)) : value, reason: reason};
+    },
+
+    /**
+     * Apply the locks and the editing constraints to new values of several cells at once. The constraints are
+     * checked against the new values of the other cells (not against the values they are replacing), so the
+     * result doesn't depend on the order of the cells
+     * @param {{x: number, y: number, value: number}[]} cells the requested normalized values
+     * @returns {{x: number, y: number, value: number, reason: string}[]} the allowed normalized values and reasons
+     * (same order as the cells, see 'constrainValue')
+     */
+    constrainValues: function(cells) {
+        var grid = this.values.map((row) => row.slice());
+        for (const cell of cells) {
+            this._checkCell(cell.x, cell.y);
+            grid[cell.y][cell.x] = this.isMissingValue(cell.value) ? null : this.clamp(cell.value);
+        }
+
+        // the adjusted values constrain their neighbours in turn, until every value is allowed
+        var results = new Array(cells.length);
+        var changed = true;
+        var result;
+        for (var pass = 0; changed && pass <= this.mX + this.mY; pass++) {
+            changed = false;
+            for (var i = 0; i < cells.length; i++) {
+                result = this.constrainValue(cells[i].x, cells[i].y, cells[i].value, grid);
+                results[i] = {x: cells[i].x, y: cells[i].y, value: result.value, reason: result.reason};
+                if (grid[cells[i].y][cells[i].x] !== result.value) {
+                    grid[cells[i].y][cells[i].x] = result.value;
+                    changed = true;
+                }
+            }
+        }
+        return results;
+    },
+
+    //#endregion
+
+    //#region Reference
+
+    /**
+     * Set the reference (baseline) data the values are compared against (null and NaN values are kept as no data)
+     * @param {number[][]} data the reference data (same dimensions as the matrix, null to remove the reference)
+     */
+    setReference: function(data) {
+        if (data == null) {
+            this.reference = null;
+            return;
+        }
+        this.validateData(data);
+        this.reference = data.map((row) => row.map((value) => !this.isMissingValue(value) ? this.clamp(this.normalize(value)) : null));
+    },
+
+    /**
+     * Get the reference data
+     * @returns {number[][]} the reference data (real units, null for the cells with no data) or null if there is no reference
+     */
+    getReference: function() {
+        if (this.reference == null) {
+            return null;
+        }
+        return this.reference.map((row) => row.map((value) => this._toRealValue(value)));
+    },
+
+    /**
+     * Compare the values with the reference
+     * @returns {object} {
+     *  data: number[][], // the delta (value - reference, real units) of every cell (null if the value or the reference has no data)
+     *  cells: {x: number, y: number, value: number, reference: number, delta: number}[] // the cells that differ (with a delta)
+     * }
+     */
+    getDiff: function() {
+        if (this.reference == null) {
+            throw new Error("MatrixHeightMap: there is no reference to compare with");
+        }
+
+        var cells = [];
+        var data = new Array(this.mY);
+        var value, reference, delta;
+        for (var y = 0; y < this.mY; y++) {
+            data[y] = new Array(this.mX);
+            for (var x = 0; x < this.mX; x++) {
+                value = this.getValue(x, y);
+                reference = this._toRealValue(this.reference[y][x]);
+                delta = value != null && reference != null ? this.round(value - reference) : null;
+                data[y][x] = delta;
+                if (delta != null && delta !== 0) {
+                    cells.push({x: x, y: y, value: value, reference: reference, delta: delta});
+                }
+            }
+        }
+        return {data: data, cells: cells};
+    },
+
+    //#endregion
+
+    //#region Interpolation
+
+    /**
+     * Get the (normalized) value of a cell of a grid, linearly extrapolated outside of the matrix
+     */
+    _getExtendedCellValue: function(x, y, grid) {
+        // NaN propagates the cells with no data
+        if (x >= 0 && x < this.mX && y >= 0 && y < this.mY && grid[y][x] == null) {
+            return NaN;
+        }
+        if (x < 0) {
+            return (2 * this._getExtendedCellValue(0, y, grid)) - this._getExtendedCellValue(1, y, grid);
+        }
+        if (x >= this.mX) {
+            return (2 * this._getExtendedCellValue(this.mX - 1, y, grid)) - this._getExtendedCellValue(this.mX - 2, y, grid);
+        }
+        if (y < 0) {
+            return (2 * this._getExtendedCellValue(x, 0, grid)) - this._getExtendedCellValue(x, 1, grid);
+        }
+        if (y >= this.mY) {
+            return (2 * this._getExtendedCellValue(x, this.mY - 1, grid)) - this._getExtendedCellValue(x, this.mY - 2, grid);
+        }
+        return grid[y][x];
+    },
+
+    /**
+     * Cubic (Catmull-Rom) interpolation between p1 and p2
+     */
+    _cubicInterpolate: function(p0, p1, p2, p3, t) {
+        return p1 + (0.5 * t * (p2 - p0 + (t * ((2 * p0) - (5 * p1) + (4 * p2) - p3 + (t * ((3 * (p1 - p2)) + p3 - p0))))));
+    },
+
+    /**
+     * Interpolate the (normalized) matrix value at fractional indices. NaN if a cell around the point has no data
+     * (bicubic falls back to bilinear when a farther cell has no data)
+     * @param {number} x fractional column index
+     * @param {number} y fractional row index
+     * @param {"bilinear" | "bicubic"} mode interpolation mode
+     * @param {boolean} extrapolate if true, coordinates outside the matrix are extrapolated, otherwise they are clamped to the edges
+     * @param {number[][]} grid the normalized grid to interpolate (the values by default, e.g. the reference)
+     */
+    interpolate: function(x, y, mode, extrapolate, grid) {
+        grid = grid != null ? grid : this.values;
+        if (!extrapolate) {
+            x = Math.min(this.mX - 1, Math.max(0, x));
+            y = Math.min(this.mY - 1, Math.max(0, y));
+        }
+
+        var x0 = Math.min(this.mX - 2, Math.max(0, Math.floor(x)));
+        var y0 = Math.min(this.mY - 2, Math.max(0, Math.floor(y)));
+        var tx = x - x0;
+        var ty = y - y0;
+
+        if (mode === "bicubic") {
+            var rows = [];
+            for (var j = -1; j <= 2; j++) {
+                rows.push(this._cubicInterpolate(
+                    this._getExtendedCellValue(x0 - 1, y0 + j, grid),
+                    this._getExtendedCellValue(x0, y0 + j, grid),
+                    this._getExtendedCellValue(x0 + 1, y0 + j, grid),
+                    this._getExtendedCellValue(x0 + 2, y0 + j, grid),
+                    tx));
+            }
+            var value = this._cubicInterpolate(rows[0], rows[1], rows[2], rows[3], ty);
+            if (!Number.isNaN(value)) {
+                return value;
+            }
+        }
+
+        if (grid[y0][x0] == null || grid[y0][x0 + 1] == null || grid[y0 + 1][x0] == null || grid[y0 + 1][x0 + 1] == null) {
+            return NaN;
+        }
+        var top = grid[y0][x0] + ((grid[y0][x0 + 1] - grid[y0][x0]) * tx);
+        var bottom = grid[y0 + 1][x0] + ((grid[y0 + 1][x0 + 1] - grid[y0 + 1][x0]) * tx);
+        return top + ((bottom - top) * ty);
+    },
+
+    /**
+     * Get the interpolated value at fractional coordinates (same options as MatrixHeightMap.getInterpolatedValue)
+     * @returns {number} the interpolated value (real units, rounded, null if a cell around the point has no data)
+     */
+    getInterpolatedValue: function(x, y, options) {
+        options = options || {};
+        var coordinates = options.coordinates || (this.axisNumeric ? "axis" : "index");
+        var fx = coordinates === "axis" ? this.getFractionalIndex("x", x) : x;
+        var fy = coordinates === "axis" ? this.getFractionalIndex("y", y) : y;
+        if (!Number.isFinite(fx) || !Number.isFinite(fy)) {
+            throw new Error(`MatrixHeightMap: invalid coordinates (${x}, ${y})`);
+        }
+
+        var value = this.interpolate(fx, fy, options.mode || "bilinear", options.edges === "extrapolate");
+        return this._toRealValue(Number.isNaN(value) ? null : value);
+    },
+
+    //#endregion
+
+    //#region Operations
+
+    /**
+     * Get the area of an operation (the whole matrix by default)
+     */
+    _getOperationArea: function(area) {
+        if (area == null) {
+            return {x: 0, y: 0, width: this.mX, height: this.mY};
+        }
+        if (!this.isValidCell(area.x, area.y) || !Number.isInteger(area.width) || !Number.isInteger(area.height)
+            || area.width < 1 || area.height < 1 || area.x + area.width > this.mX || area.y + area.height > this.mY) {
+            throw new RangeError(`MatrixHeightMap: the area (${area.x}, ${area.y}, ${area.width}x${area.height}) is out of the matrix (${this.mX}x${this.mY})`);
+        }
+        return area;
+    },
+
+    /**
+     * Get the relative position [0, 1] of an axis index between two indices (follows the numeric axis breakpoints)
+     */
+    _getAreaPosition: function(axisName, index, start, end) {
+        if (start === end) {
+            return 0;
+        }
+        var from = this.getAxisPosition(axisName, start);
+        return (this.getAxisPosition(axisName, index) - from) / (this.getAxisPosition(axisName, end) - from);
+    },
+
+    /**
+     * Get the index of a neighbour cell along an axis, following the edge mode when it's out of the matrix
+     * @returns {number} the index or -1 if the cell is ignored
+     */
+    _getEdgeIndex: function(index, length, edges) {
+        if (index >= 0 && index < length) {
+            return index;
+        }
+        if (edges === "ignore") {
+            return -1;
+        }
+        if (edges === "mirror" && length > 1) {
+            index = index < 0 ? -index : (2 * (length - 1)) - index;
+        }
+        return Math.min(length - 1, Math.max(0, index));
+    },
+
+    /**
+     * Smooth a cell with a box or gaussian kernel
+     */
+    _smoothCell: function(x, y, kernel, radius, sigma, edges) {
+        var sum = 0;
+        var weights = 0;
+        var nx, ny, weight;
+        for (var dy = -radius; dy <= radius; dy++) {
+            ny = this._getEdgeIndex(y + dy, this.mY, edges);
+            for (var dx = -radius; dx <= radius; dx++) {
+                nx = this._getEdgeIndex(x + dx, this.mX, edges);
+                if (nx < 0 || ny < 0) {
+                    continue;
+                }
+                if (this.values[ny][nx] == null) {
+                    continue;
+                }
+                weight = kernel === "gaussian" ? Math.exp(-((dx * dx) + (dy * dy)) / (2 * sigma * sigma)) : 1;
+                sum += this.values[ny][nx] * weight;
+                weights += weight;
+            }
+        }
+        return sum / weights;
+    },
+
+    /**
+     * Check that the input cells of an operation have data
+     */
+    _checkOperationCells: function(operation, cells) {
+        var missing = cells.filter((cell) => this.values[cell.y][cell.x] == null);
+        if (missing.length > 0) {
+            throw new Error(`MatrixHeightMap: the ${operation} operation needs the values of the cells ${missing.map((cell) => `[${cell.x}, ${cell.y}]`).join(", ")} (no data)`);
+        }
+    },
+
+    /**
+     * Compute the (normalized) values of a bulk operation on the whole matrix or an area, without changing the model
+     * @param {"set" | "offset" | "scale" | "smooth" | "interpolate" | "gradient"} operation the operation:
+     * - set: set every cell to 'value'
+     * - offset: add 'value' to every cell
+     * - scale: change every value by 'percent' (e.g. 10 multiplies the values by 1.1, -10 by 0.9)
+     * - smooth: average every cell with its neighbours (the cells around the area are read but not changed)
+     * - interpolate: interpolate the cells inside the area from its border cells (a row/column segment from its ends).
+     * Throws an Error if one of these cells has no data
+     * - gradient: fill the area with a linear gradient between its corners (throws an Error if one of the corner
+     * cells has no data and no 'corners' are given)
+     * - fillMissing: fill the cells with no data from the 'nearest' cell with data or 'interpolate' them linearly
+     * between the nearest cells with data of their row and column (the other operations skip the cells with no data)
+     * @param {object} options {
+     *  area: {x: number, y: number, width: number, height: number}, // the cells changed (default the whole matrix)
+     *  value: number, // set/offset: the value (real units)
+     *  percent: number, // scale: the percentage
+     *  kernel: "box" | "gaussian", // smooth: the kernel (default "box")
+     *  radius: number, // smooth: the number of neighbours on each side (default 1)
+     *  sigma: number, // smooth: the standard deviation of the gaussian kernel in cells (default radius / 2)
+     *  edges: "clamp" | "mirror" | "ignore", // smooth: the neighbours out of the matrix repeat the edge cells, mirror the cells
+     *  // inside the matrix or are left out (default "clamp")
+     *  corners: number[], // gradient: the values [top-left, top-right, bottom-left, bottom-right] (default the values of the area corners)
+     *  strategy: "nearest" | "interpolate" // fillMissing: how the values are found (default "interpolate")
+     * }
+     * @returns {{x: number, y: number, value: number}[]} the new normalized values of the cells (not clamped)
+     */
+    computeOperation: function(operation, options) {
+        options = options || {};
+        var area = this._getOperationArea(options.area);
+        var x0 = area.x;
+        var y0 = area.y;
+        var x1 = area.x + area.width - 1;
+        var y1 = area.y + area.height - 1;
+        var range = this.maxZ - this.minZ;
+        var compute;
+
+        switch (operation) {
+            case "set":
+                this._checkNumber(options.value, "value");
+                var value = this.normalize(options.value);
+                compute = () => value;
+                break;
+            case "offset":
+                this._checkNumber(options.value, "offset");
+                var offset = range > 0 ? options.value / range : 0;
+                compute = (x, y) => this.values[y][x] + offset;
+                break;
+            case "scale":
+                this._checkNumber(options.percent, "percent");
+                var factor = 1 + (options.percent / 100);
+                compute = (x, y) => this.normalize(this.denormalize(this.values[y][x]) * factor);
+                break;
+            case "smooth":
+                var kernel = options.kernel || "box";
+                var radius = options.radius != null ? options.radius : 1;
+                var sigma = options.sigma != null ? options.sigma : radius / 2;
+                var edges = options.edges || "clamp";
+                if (kernel !== "box" && kernel !== "gaussian") {
+                    throw new Error(`MatrixHeightMap: unknown smoothing kernel "${kernel}" (expected "box" or "gaussian")`);
+                }
+                if (!Number.isInteger(radius) || radius < 1) {
+                    throw new Error(`MatrixHeightMap: the smoothing radius must be an integer >= 1 (got ${radius})`);
+                }
+                if (typeof(sigma) !== "number" || !(sigma > 0)) {
+                    throw new Error(`MatrixHeightMap: the smoothing sigma must be a number > 0 (got ${sigma})`);
+                }
+                if (["clamp", "mirror", "ignore"].indexOf(edges) < 0) {
+                    throw new Error(`MatrixHeightMap: unknown edge mode "${edges}" (expected "clamp", "mirror" or "ignore")`);
+                }
+                compute = (x, y) => this._smoothCell(x, y, kernel, radius, sigma, edges);
+                break;
+            case "interpolate":
+                var grid = this.values;
+                if (area.width === 1 || area.height === 1) {
+                    // a segment, between its ends
+                    this._checkOperationCells(operation, [{x: x0, y: y0}, {x: x1, y: y1}]);
+                    compute = (x, y) => {
+                        var t = area.width === 1 ? this._getAreaPosition("y", y, y0, y1) : this._getAreaPosition("x", x, x0, x1);
+                        return (grid[y0][x0] * (1 - t)) + (grid[y1][x1] * t);
+                    };
+                } else {
+                    // bilinearly blended (Coons) patch: matches the four borders
+                    var border = [];
+                    for (var bx = x0; bx <= x1; bx++) {
+                        border.push({x: bx, y: y0}, {x: bx, y: y1});
+                    }
+                    for (var by = y0 + 1; by < y1; by++) {
+                        border.push({x: x0, y: by}, {x: x1, y: by});
+                    }
+                    this._checkOperationCells(operation, border);
+                    compute = (x, y) => {
+                        if (x === x0 || x === x1 || y === y0 || y === y1) {
+                            return grid[y][x];
+                        }
+                        var u = this._getAreaPosition("x", x, x0, x1);
+                        var v = this._getAreaPosition("y", y, y0, y1);
+                        return ((1 - v) * grid[y0][x]) + (v * grid[y1][x]) + ((1 - u) * grid[y][x0]) + (u * grid[y][x1])
+                            - ((1 - u) * (1 - v) * grid[y0][x0]) - (u * (1 - v) * grid[y0][x1])
+                            - ((1 - u) * v * grid[y1][x0]) - (u * v * grid[y1][x1]);
+                    };
+                }
+                break;
+            case "gradient":
+                var corners;
+                if (options.corners == null) {
+                    this._checkOperationCells(operation, [{x: x0, y: y0}, {x: x1, y: y0}, {x: x0, y: y1}, {x: x1, y: y1}]);
+                    corners = [this.values[y0][x0], this.values[y0][x1], this.values[y1][x0], this.values[y1][x1]];
+                } else {
+                    if (!Array.isArray(options.corners) || options.corners.length !== 4) {
+                        throw new Error("MatrixHeightMap: the gradient corners must be 4 values [top-left, top-right, bottom-left, bottom-right]");
+                    }
+                    options.corners.forEach((corner, i) => this._checkNumber(corner, `gradient corner ${i}`));
+                    corners = options.corners.map((corner) => this.normalize(corner));
+                }
+                compute = (x, y) => {
+                    var u = this._getAreaPosition("x", x, x0, x1);
+                    var v = this._getAreaPosition("y", y, y0, y1);
+                    return ((1 - v) * ((corners[0] * (1 - u)) + (corners[1] * u))) + (v * ((corners[2] * (1 - u)) + (corners[3] * u)));
+                };
+                break;
+            case "fillMissing":
+                var strategy = options.strategy || "interpolate";
+                if (strategy !== "nearest" && strategy !== "interpolate") {
+                    throw new Error(`MatrixHeightMap: unknown fill strategy "${strategy}" (expected "nearest" or "interpolate")`);
+                }
+                compute = (x, y) => {
+                    var interpolated = strategy === "interpolate" ? this._interpolateMissing(x, y) : null;
+                    return interpolated != null ? interpolated : this._getNearestValue(x, y);
+                };
+                break;
+            default:
+                throw new Error(`MatrixHeightMap: unknown operation "${operation}"`);
+        }
+
+        // computed from the current values (all the cells at once), only the cells with data or only the cells
+        // with no data when filling them
+        var fill = operation === "fillMissing";
+        var cells = [];
+        var result;
+        for (var y = y0; y <= y1; y++) {
+            for (var x = x0; x <= x1; x++) {
+                if ((this.values[y][x] == null) !== fill) {
+                    continue;
+                }
+                result = compute(x, y);
+                if (result != null && !Number.isNaN(result)) {
+                    cells.push({x: x, y: y, value: result});
+                }
+            }
+        }
+        return cells;
+    },
+
+    /**
+     * Get the value of the nearest cell with data (null if there is none)
+     */
+    _getNearestValue: function(x, y) {
+        var nearest = null;
+        var nearestDistance = Infinity;
+        var distance;
+        for (var ny = 0; ny < this.mY; ny++) {
+            for (var nx = 0; nx < this.mX; nx++) {
+                distance = ((nx - x) * (nx - x)) + ((ny - y) * (ny - y));
+                if (this.values[ny][nx] != null && distance < nearestDistance) {
+                    nearest = this.values[ny][nx];
+                    nearestDistance = distance;
+                }
+            }
+        }
+        return nearest;
+    },
+
+    /**
+     * Interpolate a cell with no data between the nearest cells with data of its row and of its column
+     * (average of both, a single nearest cell is used as is). Null if the row and the column have no data
+     */
+    _interpolateMissing: function(x, y) {
+        var estimates = [];
+        for (const axisName of ["x", "y"]) {
+            var length = axisName === "x" ? this.mX : this.mY;
+            var index = axisName === "x" ? x : y;
+            var get = (i) => axisName === "x" ? this.values[y][i] : this.values[i][x];
+            var before = index - 1;
+            var after = index + 1;
+            while (before >= 0 && get(before) == null) {
+                before--;
+            }
+            while (after < length && get(after) == null) {
+                after++;
+            }
+            if (before >= 0 && after < length) {
+                var t = this._getAreaPosition(axisName, index, before, after);
+                estimates.push((get(before) * (1 - t)) + (get(after) * t));
+            } else if (before >= 0 || after < length) {
+                estimates.push(get(before >= 0 ? before : after));
+            }
+        }
+        return estimates.length > 0 ? estimates.reduce((sum, value) => sum + value, 0) / estimates.length : null;
+    },
+
+    //#endregion
+
+    //#region Patches
+
+    /**
+     * Check the format of a patch
+     */
+    _checkPatch: function(patch) {
+        if (patch == null || !Array.isArray(patch.cells)) {
+            throw new Error("MatrixHeightMap: invalid patch (expected an object with a 'cells' array)");
+        }
+        if (patch.source != null && !Number.isInteger(patch.version)) {
+            throw new Error(`MatrixHeightMap: invalid patch version ${patch.version} (expected an integer with the 'source')`);
+        }
+        patch.cells.forEach((cell, i) => {
+            if (cell == null || !Number.isInteger(cell.x) || !Number.isInteger(cell.y)
+                || (cell.from !== null && typeof(cell.from) !== "number") || (cell.to !== null && typeof(cell.to) !== "number")) {
+                throw new Error(`MatrixHeightMap: invalid patch cell ${i} (expected {x, y, from, to} with integer coordinates and number or null values)`);
+            }
+        });
+    },
+
+    /**
+     * Get the version check of a patch against the last version received from its source
+     * @returns {string} "stale" (the version was already received), "gap" (versions were missed) or null
+     */
+    _getPatchVersionConflict: function(patch, versions) {
+        var last = patch.source != null ? versions.get(patch.source) : null;
+        if (last == null) {
+            return null;
+        }
+        return patch.version <= last ? "stale" : (patch.version > last + 1 ? "gap" : null);
+    },
+
+    /**
+     * Check a patch against the current values, without changing the model. A cell is in conflict when its value
+     * is no longer the 'from' value of the patch ("value"), or when it's not in the matrix or its axis names
+     * don't match ("cell"). With a 'source', the patch versions must follow each other: every cell of a patch
+     * whose version was already received is in conflict ("stale"), as well as every cell of a patch that comes
+     * after missed versions ("gap"). The cells that already have the 'to' value are left out
+     * @param {object} patch {source?: string, version?: number, cells: {x: number, y: number, xName?: string, yName?: string,
+     * from: number, to: number}[]} (real units, null for no data)
+     * @param {"skip" | "overwrite" | "reject"} conflicts what to do with the conflicts: skip the cells in conflict,
+     * overwrite their values anyway (not the "cell" and "stale" conflicts) or reject the whole patch (default "skip")
+     * @param {Map<string, number>} versions the last version received from every source (default the versions of the model)
+     * @returns {object} {
+     *  cells: {x: number, y: number, value: number}[], // the cells to change (normalized values, not clamped)
+     *  conflicts: {x: number, y: number, from: number, to: number, value: number, reason: string}[] // 'value' is the current value
+     * }
+     */
+    checkPatch: function(patch, conflicts, versions) {
+        this._checkPatch(patch);
+        conflicts = conflicts || "skip";
+        if (["skip", "overwrite", "reject"].indexOf(conflicts) < 0) {
+            throw new Error(`MatrixHeightMap: unknown conflict mode "${conflicts}" (expected "skip", "overwrite" or "reject")`);
+        }
+        var versionConflict = this._getPatchVersionConflict(patch, versions || this.patchVersions);
+
+        var result = {cells: [], conflicts: []};
+        var value, reason;
+        for (const cell of patch.cells) {
+            if (!this.isValidCell(cell.x, cell.y) || (cell.xName != null && String(cell.xName) !== String(this.XAxisNames[cell.x]))
+                || (cell.yName != null && String(cell.yName) !== String(this.YAxisNames[cell.y]))) {
+                result.conflicts.push({x: cell.x, y: cell.y, from: cell.from, to: cell.to, value: null, reason: "cell"});
+                continue;
+            }
+
+            value = this.getValue(cell.x, cell.y);
+            if (versionConflict === "stale") {
+                result.conflicts.push({x: cell.x, y: cell.y, from: cell.from, to: cell.to, value: value, reason: versionConflict});
+                continue;
+            }
+            if (value === cell.to) {
+                continue;
+            }
+            reason = versionConflict || (value !== cell.from ? "value" : null);
+            if (reason != null) {
+                result.conflicts.push({x: cell.x, y: cell.y, from: cell.from, to: cell.to, value: value, reason: reason});
+            }
+            if (reason == null || conflicts === "overwrite") {
+                result.cells.push({x: cell.x, y: cell.y, value: cell.to != null ? this.normalize(cell.to) : null});
+            }
+        }
+        if (conflicts === "reject" && result.conflicts.length > 0) {
+            result.cells = [];
+        }
+        return result;
+    },
+
+    /**
+     * Keep the version of a received patch as the last version of its source (stale patches are ignored)
+     * @param {object} patch the patch
+     * @param {Map<string, number>} versions the last version received from every source (default the versions of the model)
+     */
+    receivePatchVersion: function(patch, versions) {
+        versions = versions || this.patchVersions;
+        if (patch.source != null && this._getPatchVersionConflict(patch, versions) !== "stale") {
+            versions.set(patch.source, patch.version);
+        }
+    },
+
+    /**
+     * Apply a patch (see 'checkPatch'), e.g. on a headless copy of the data or on a relay. The version of the patch
+     * is kept as the last version of its source, even when its cells are skipped or rejected
+     * @param {object} patch the patch
+     * @param {"skip" | "overwrite" | "reject"} conflicts what to do with the conflicts (default "skip")
+     * @returns {{applied: {x: number, y: number, value: number}[], conflicts: object[]}} the changed cells (real units) and the conflicts
+     */
+    applyPatch: function(patch, conflicts) {
+        var result = this.checkPatch(patch, conflicts);
+        this.receivePatchVersion(patch);
+        return {
+            applied: result.cells.map((cell) => ({x: cell.x, y: cell.y, value: this._toRealValue(this.setNormalizedValue(cell.x, cell.y, cell.value))})),
+            conflicts: result.conflicts
+        };
+    },
+
+    //#endregion
+
+    //#region Import/Export
+
+    /**
+     * Get the delimiter of a text format
+     */
+    _getFormatDelimiter: function(format) {
+        switch (format) {
+            case "csv":
+                return ",";
+            case "tsv":
+                return "\t";
+            default:
+                throw new Error(`MatrixHeightMap: unknown data format "${format}" (expected "csv", "tsv" or "json")`);
+        }
+    },
+
+    /**
+     * Format a delimited (csv/tsv) row
+     */
+    _formatDelimitedRow: function(fields, delimiter) {
+        return fields.map((field) => {
+            // no data is an empty field
+            field = field != null ? String(field) : "";
+            if (field.indexOf(delimiter) >= 0 || field.indexOf('"') >= 0 || field.indexOf("\n") >= 0 || field.indexOf("\r") >= 0) {
+                return '"' + field.replace(/"/g, '""') + '"';
+            }
+            return field;
+        }).join(delimiter);
+    },
+
+    /**
+     * Parse delimited (csv/tsv) text into rows of fields (supports quoted fields)
+     */
+    _parseDelimited: function(text, delimiter) {
+        var rows = [];
+        var row = [];
+        var field = "";
+        var quoted = false;
+        var char;
+
+        for (var i = 0; i < text.length; i++) {
+            char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"' && field.length === 0) {
+                quoted = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = "";
+            } else if (char === "\n" || char === "\r") {
+                if (char === "\r" && text[i + 1] === "\n") {
+                    i++;
+                }
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = "";
+            } else {
+                field += char;
+            }
+        }
+        if (field.length > 0 || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        // ignore trailing empty lines
+        while (rows.length > 0 && rows[rows.length - 1].length === 1 && rows[rows.length - 1][0].trim() === "") {
+            rows.pop();
+        }
+        return rows;
+    },
+
+    /**
+     * Parse a numeric cell of an imported document
+     */
+    _parseImportedNumber: function(text, row, column, errors) {
+        // no data: empty field, null or NaN
+        if (text == null || (typeof(text) === "number" && Number.isNaN(text)) || String(text).trim() === "" || String(text).trim() === "NaN") {
+            return null;
+        }
+        var value = typeof(text) === "number" ? text : Number(String(text).trim());
+        if (!Number.isFinite(value)) {
+            errors.push({row: row, column: column, message: `row ${row + 1}, column ${column + 1}: "${text}" is not a number`});
+            return null;
+        }
+        return value;
+    },
+
+    /**
+     * Parse delimited (csv/tsv) text into values and (optionally) axis names
+     * @param {boolean | "auto"} headers if the first row/column hold the axis names ("auto" detects an empty or non-numeric first cell)
+     * @returns {{data: number[][], x: string[], y: string[]}}
+     */
+    _parseDelimitedData: function(text, delimiter, headers) {
+        var rows = this._parseDelimited(text, delimiter);
+        var errors = [];
+        if (rows.length === 0) {
+            MatrixHeightMapModel.throwDataErrors([{row: 0, column: 0, message: "the document is empty"}]);
+        }
+
+        if (headers == null || headers === "auto") {
+            var corner = rows[0][0].trim();
+            headers = corner === "" || !Number.isFinite(Number(corner));
+        }
+
+        var offset = headers ? 1 : 0;
+        var columns = rows[0].length - offset;
+        var result = {
+            data: [],
+            x: headers ? rows[0].slice(1).map((name) => name.trim()) : null,
+            y: headers ? [] : null
+        };
+
+        var row;
+        for (var r = offset; r < rows.length; r++) {
+            if (rows[r].length - offset !== columns) {
+                errors.push({row: r, column: 0, message: `row ${r + 1}: expected ${columns} values but found ${rows[r].length - offset}`});
+                continue;
+            }
+            row = [];
+            for (var c = offset; c < rows[r].length; c++) {
+                row.push(this._parseImportedNumber(rows[r][c], r, c, errors));
+            }
+            result.data.push(row);
+            if (headers) {
+                result.y.push(rows[r][0].trim());
+            }
+        }
+
+        if (errors.length > 0) {
+            MatrixHeightMapModel.throwDataErrors(errors);
+        }
+        return result;
+    },
+
+    /**
+     * Parse JSON document
+     * @returns {{data: number[][], axis: object, min: number, max: number, unit: string}}
+     */
+    _parseJSONData: function(text) {
+        var documentData;
+        try {
+            documentData = typeof(text) === "string" ? JSON.parse(text) : text;
+        } catch (ex) {
+            MatrixHeightMapModel.throwDataErrors([{row: 0, column: 0, message: `invalid JSON (${ex.message})`}]);
+        }
+
+        if (documentData == null || !Array.isArray(documentData.data)) {
+            MatrixHeightMapModel.throwDataErrors([{row: 0, column: 0, message: "the JSON document has no 'data' array"}]);
+        }
+
+        var errors = [];
+        var data = documentData.data.map((row, r) => Array.isArray(row)
+            ? row.map((value, c) => this._parseImportedNumber(value, r, c, errors))
+            : row);
+        if (errors.length > 0) {
+            MatrixHeightMapModel.throwDataErrors(errors);
+        }
+
+        if (documentData.min != null || documentData.max != null) {
+            var min = documentData.min != null ? documentData.min : this.minZ;
+            var max = documentData.max != null ? documentData.max : this.maxZ;
+            if (!Number.isFinite(min) || !Number.isFinite(max) || min > max) {
+                MatrixHeightMapModel.throwDataErrors([{row: 0, column: 0, message: `invalid range [${documentData.min}, ${documentData.max}]`}]);
+            }
+        }
+
+        return {
+            data: data,
+            axis: documentData.axis,
+            min: documentData.min,
+            max: documentData.max,
+            unit: documentData.unit
+        };
+    },
+
+    /**
+     * Export matrix data
+     * @param {"csv" | "tsv" | "json"} format the export format (default "csv")
+     * - csv/tsv: the first row holds the x axis names and the first column the y axis names
+     * - json: document with the axis definition, min/max, unit and data
+     * @param {object} area export only the values of an area of the matrix, without headers (csv/tsv only, optional) {
+     *  x: number, y: number, // top-left cell
+     *  width: number, height: number // size in cells
+     * }
+     * @returns {string} the exported document
+     */
+    exportData: function(format, area) {
+        format = format || "csv";
+        var data = this.getData();
+        if (format === "json") {
+            return JSON.stringify({
+                axis: {
+                    x: this.XAxisNames.slice(),
+                    y: this.YAxisNames.slice(),
+                    numeric: this.axisNumeric,
+                    xUnit: this.axisOptions.xUnit,
+                    yUnit: this.axisOptions.yUnit
+                },
+                min: this.minZ,
+                max: this.maxZ,
+                unit: this.unit != null ? this.unit : undefined,
+                data: data
+            }, null, 2);
+        }
+
+        var delimiter = this._getFormatDelimiter(format);
+        var rows = [];
+        if (area != null) {
+            for (var ay = area.y; ay < area.y + area.height; ay++) {
+                rows.push(this._formatDelimitedRow(data[ay].slice(area.x, area.x + area.width), delimiter));
+            }
+            return rows.join("\n");
+        }
+
+        rows.push(this._formatDelimitedRow([""].concat(this.XAxisNames), delimiter));
+        for (var y = 0; y < this.mY; y++) {
+            rows.push(this._formatDelimitedRow([this.YAxisNames[y]].concat(data[y]), delimiter));
+        }
+        return rows.join("\n");
+    },
+
+    /**
+     * Parse a document without changing the model. Malformed documents throw an Error listing the
+     * problems found (also available as 'error.errors')
+     * @param {string} text the document to parse
+     * @param {"csv" | "tsv" | "json"} format the document format (default "csv")
+     * @param {object} options {
+     *  headers: boolean | "auto" // csv/tsv: if the first row/column hold the axis names (default "auto")
+     * }
+     * @returns {{data: number[][], axis: object, min: number, max: number, unit: string}} the parsed document
+     * ('axis' is null for csv/tsv without headers, 'min', 'max' and 'unit' are only set by json)
+     */
+    parseData: function(text, format, options) {
+        format = format || "csv";
+        options = options || {};
+
+        var parsed;
+        if (format === "json") {
+            parsed = this._parseJSONData(text);
+            parsed.axis = parsed.axis != null ? Object.assign({}, parsed.axis) : {};
+            parsed.axis.x = parsed.axis.x != null ? parsed.axis.x : this.XAxisNames;
+            parsed.axis.y = parsed.axis.y != null ? parsed.axis.y : this.YAxisNames;
+        } else {
+            var table = this._parseDelimitedData(text, this._getFormatDelimiter(format), options.headers);
+            parsed = {
+                data: table.data,
+                axis: table.x != null ? {x: table.x, y: table.y} : null
+            };
+        }
+        return parsed;
+    },
+
+    /**
+     * Import matrix data (same formats and options as 'parseData'). With axis names the axis are set
+     * from the document, without them the dimensions must match the current matrix
+     */
+    importData: function(text, format, options) {
+        var parsed = this.parseData(text, format, options);
+        if (parsed.axis != null) {
+            this.validateData(parsed.data, parsed.axis.x.length, parsed.axis.y.length);
+            this.setAxis(parsed.axis);
+        } else {
+            this.validateData(parsed.data);
+        }
+        if (parsed.min != null || parsed.max != null) {
+            this.setRange(parsed.min != null ? parsed.min : this.minZ, parsed.max != null ? parsed.max : this.maxZ);
+        }
+        if (parsed.unit !== undefined) {
+            this.unit = parsed.unit;
+        }
+        this.setData(parsed.data);
+    },
+
+    //#endregion
+};
+
+/**
+ * Throw a data error listing all the problems found (available as 'error.errors')
+ * @param {{row: number, column: number, message: string}[]} errors the problems found
+ */
+MatrixHeightMapModel.throwDataErrors = function(errors) {
+    var maxListed = 10;
+    var lines = errors.slice(0, maxListed).map((error) => "  - " + error.message);
+    if (errors.length > maxListed) {
+        lines.push(`  ... and ${errors.length - maxListed} more`);
+    }
+    var error = new Error(`MatrixHeightMap: invalid data\n${lines.join("\n")}`);
+    error.errors = errors;
+    throw error;
+};
+
+if (typeof(module) !== "undefined" && module.exports) {
+    module.exports = MatrixHeightMapModel;
+}
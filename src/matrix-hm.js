@@ -14,14 +14,65 @@
  * @param {object} params the params for the initialization
  * {
  *  container: string | HTMLElement // container of the matrix display
+ *  model: MatrixHeightMapModel, // data model to render (optional, if provided min, max, unit, axis and data are ignored)
  *  min: number // min value of each matrix slot 
  *  max: number, // max value of each matrix slot 
+ *  unit: string, // unit of the values (optional, kept in the JSON export)
  *  axis: {
- *     x: string[], // the x axis definition (array of column names)
- *     y: string[] // the y axis definition (array of rows names)
+ *     x: string[] | number[], // the x axis definition (array of column names or numeric breakpoints)
+ *     y: string[] | number[], // the y axis definition (array of rows names or numeric breakpoints)
+ *     numeric: boolean, // if true, the axis values are strictly increasing numeric breakpoints and the cells are spaced proportionally (default false)
+ *     xUnit: string, // suffix appended to the x axis labels (optional)
+ *     yUnit: string, // suffix appended to the y axis labels (optional)
+ *     decimals: number, // number of decimals of numeric axis labels (optional)
+ *     format: function(value, axis) // custom axis label formatter, axis is "x" or "y" (optional)
  *  },
- *  data: number[][], // initial data to feed the matrix (if not provided the matrix will be initialized with '0' in every cell)
- *  onChange: function(x, y, value, data) // when any value is changed in the Matrix 
+ *  data: number[][], // initial data to feed the matrix (if not provided the matrix will be initialized with '0' in every cell,
+ *  // null or NaN for the cells with no data, shown as holes in the surface)
+ *  layer: string, // id of the layer of the initial data (default "default", see 'addLayer')
+ *  reference: number[][], // reference (baseline) data drawn as a ghost surface (optional, see 'setReference')
+ *  referenceStyle: {
+ *     mode: "wireframe" | "translucent", // how the reference surface is drawn (default "wireframe")
+ *     color: number | string, // color of the reference surface (default white)
+ *     opacity: number // opacity of the reference surface (default 0.5 for wireframe, 0.35 for translucent)
+ *  },
+ *  diffMode: boolean | {
+ *     range: number // delta (real units) mapped to the ends of the color scale (default the largest delta when enabled)
+ *  }, // color the surface by the delta from the reference with a diverging color scale (default false)
+ *  hitMap: boolean | {
+ *     color: string | number // tint of the most visited cells (default cyan)
+ *  }, // tint the cells by how often the markers visited them (default false, see 'setMarker')
+ *  historyDepth: number, // max number of undo steps kept (default 100, 0 disables the edit history)
+ *  source: string, // id of the instance in the emitted patches (default a random id, see 'applyPatch')
+ *  editMode: "absolute" | "relative" | "proportional", // how dragging a pivot moves the rest of the selection (default "relative")
+ *  brushRadius: number, // radius (in cells) of the soft brush that also moves the neighbours of the selection (default 0)
+ *  selectionTool: "box" | "lasso", // tool used when shift-dragging on an empty area of the chart (default "box")
+ *  colorScale: string | string[] | function(value, normalizedValue) | {
+ *     palette: string | string[] | function(value, normalizedValue), // built-in palette name ("default", "viridis", "magma", "grayscale", "diverging"), color stops or a function returning a color
+ *     steps: number, // number of discrete color bands (optional, continuous if not provided)
+ *     midpoint: number // value mapped to the center of the palette (optional, useful for "diverging")
+ *  },
+ *  legend: boolean, // show a color legend bar (default false)
+ *  tooltip: boolean | {
+ *     formatter: function(cell), // text of the tooltip of a cell {x, y, xName, yName, value, reference, delta} (optional, default axis names and value)
+ *     crosshair: boolean // draw lines along the row and column of the hovered cell (default false)
+ *  }, // show a tooltip (css class 'matrix-hm-tooltip') following the hovered/dragged pivot (default false)
+ *  view: "iso" | "top" | "front" | "side", // initial camera view (default "iso", see 'setView')
+ *  table: boolean | {
+ *     container: string | HTMLElement // element (or selector) the table is added to (optional, default below the chart container)
+ *  }, // show a table (css class 'matrix-hm-table') of the values, linked to the chart (default false)
+ *  smoothing: number, // number of subdivisions of each cell of the rendered surface (default 1, flat facets)
+ *  smoothingMode: "bilinear" | "bicubic", // interpolation used to render the subdivided surface (default "bicubic")
+ *  constraints: {
+ *     step: number, // the edited values are snapped to multiples of the step (optional)
+ *     monotonic: "x" | "y" | "xy", // the edited values can't decrease along the axis (optional)
+ *     maxGradient: number // max difference between neighbour cells after an edit (optional)
+ *  },
+ *  step: number, // value increment of the +/- keys (default the 'step' constraint or 1% of the range)
+ *  coarseStep: number, // value increment of the +/- keys with shift (default 10x the step)
+ *  onChange: function(x, y, value, data), // when any value is changed in the Matrix (kept for compatibility, prefer on("input"/"change", handler))
+ *  onHistoryChange: function(canUndo, canRedo), // when the undo/redo history changes (same as on("historychange", handler))
+ *  onSelectionChange: function(cells) // when the selected cells change (same as on("select", handler))
  * }
  */
 function MatrixHeightMap(params) {
@@ -30,32 +81,61 @@ function MatrixHeightMap(params) {
     this.NEAR = 0.001,
     this.FAR = 100,
     this.MATRIX_SIZE = 2;
-    this.PIVOT_COORDINATE_X = "__pivot_x",
-    this.PIVOT_COORDINATE_Y = "__pivot_y",
-    this.PIVOT_SELECTION_OBJECT = "__pivot_selection",
-
-    this.minZ = params.min;
-    this.maxZ = params.max;
-
-    if (params.axis) {
-        this.XAxisNames = new Array(...params.axis.x);
-        this.YAxisNames = new Array(...params.axis.y);
-    } else {
-        this.XAxisNames = ["A", "B", "C", "D", "E"],
-        this.YAxisNames = ["1", "2", "3", "4", "5"]
-    }
+    this.PIVOT_COLOR = 0x0000FF;
+    this.PIVOT_SELECTED_COLOR = 0xFF6600;
+    this.PIVOT_LOCKED_COLOR = 0x555555;
+    this.PIVOT_LOCKED_SCALE = 0.75;
+    this.PIVOT_HIDDEN = 0;
+    this.PIVOT_HOVERED = 1;
+    this.PIVOT_SELECTED = 2;
+    this.PIVOT_LOCKED = 3;
+    this.TOOLTIP_OFFSET = 12;
+    this.CROSSHAIR_COLOR = 0xFFFFFF;
+    this.SECTION_COLOR = 0xFF00FF;
+    this.AXIS_PLANE_COLOR = 0xDDDDDD;
+    this.REFERENCE_COLOR = 0xFFFFFF;
+    this.BACKGROUND_COLOR = 0xAAAAAA;
+    this.MISSING_COLOR = 0x808080;
+    this.MARKER_COLOR = 0xFFFF00;
+    this.MARKER_TRAIL_LENGTH = 100;
+    this.HIT_MAP_COLOR = 0x00FFFF;
+    this.HIT_MAP_MAX_TINT = 0.75;
+    this.MIN_DRAG_PIXELS_PER_UNIT = 100;
+    this.CLICK_TOLERANCE = 3;
+    this.LONG_PRESS_DELAY = 500;
+    this.PICK_RADIUS = 10;
+    this.VIEW_TRANSITION_DURATION = 500;
+
+    // data model (values, axis and range)
+    this.model = params.model != null ? params.model : new MatrixHeightMapModel({
+        min: params.min,
+        max: params.max,
+        unit: params.unit,
+        axis: params.axis,
+        data: params.data,
+        reference: params.reference,
+        constraints: params.constraints
+    });
+
+    // surface layers sharing the axis. The model, color scale and history of the active layer are the ones of
+    // the chart (they are saved in the layer when another layer is activated)
+    this.layers = new Map();
+    this.activeLayerId = params.layer != null ? params.layer : "default";
+    this.layers.set(this.activeLayerId, this._createLayer(this.activeLayerId, this.model, null, {}));
 
-    this.mX = this.XAxisNames.length;
-    this.mY = this.YAxisNames.length;
-    
     this.canvasContainer = typeof(params.container) === "string" ? document.querySelector(params.container) : params.container;
 
-    this.matrix = null;
+    this.cellColors = null;
     this.object = null;
     this.objectGeometry = null;
-    this.vertexPivotsSelection = null;
-    this.vertexPivots = null;
-    this.vertexPivotsObject = null;
+    this.surfaceMesh = null;
+    this.surfaceUpdateRange = null;
+    this.pivotsObject = null;
+    this.pivotStates = null;
+    this.pivotUpdateRange = null;
+    this.pivotScreenPositions = null;
+    this.pivotScreenProjection = new THREE.Matrix4();
+    this.pivotScreenDirty = true;
     this.activePivotX = null;
     this.activePivotY = null;
     this.highlightedPivot = null;
@@ -64,58 +144,291 @@ function MatrixHeightMap(params) {
     this.chartSizeXHalf = null;
     this.chartSizeYHalf = null;
 
-    this.raycaster = new THREE.Raycaster();
+    this.tmpVector = new THREE.Vector3();
+    this.tmpMatrix = new THREE.Matrix4();
+    this.tmpColor = new THREE.Color();
     this.mouse = new THREE.Vector2();
-    this.lastMouse = new THREE.Vector2();
-    this.mouseDown = false;
+    this.lastPointer = new THREE.Vector2();
+    this.pointerDown = false;
+    this.pointerInside = false;
+    this.activePointers = new Map();
+    this.primaryPointerId = null;
+    this.longPressTimer = null;
+    this.touchPanning = false;
     this.cellSelected = false;
     this.movePivotEnabled = false;
 
-    // init camera
-    this.camera = new THREE.PerspectiveCamera( this.FOV, this.canvasContainer.offsetWidth / this.canvasContainer.offsetHeight, this.NEAR, this.FAR );
-    this.camera.position.set(this.CAMERA_DEFAULT_DISTANCE, this.CAMERA_DEFAULT_DISTANCE, this.CAMERA_DEFAULT_DISTANCE);
-    this.camera.lookAt( new THREE.Vector3(0,0,0) );
+    // edit history
+    this.historyDepth = params.historyDepth != null ? params.historyDepth : 100;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.pendingEdit = null;
+    // min/max range change of the pending edit ({from, to}, undone with the values)
+    this.pendingRange = null;
+    this.historyApplying = false;
+    this.inputBatch = [];
+    this.constraintBatch = new Map();
+    // number of committed edits (every change set is emitted as a patch with the version it leads to), the
+    // patches of the other instances are not counted: their versions are kept by source
+    this.version = 0;
+    this.source = params.source != null ? String(params.source) : Math.random().toString(36).slice(2, 10);
+    this.patchVersions = new Map();
+    this.patchApplying = false;
+    // cells changed by a bulk operation (the surface is updated once, at the end)
+    this.surfaceBatch = null;
+    // the holes of the surface (cells with no data) changed
+    this.surfaceIndexDirty = false;
+
+    // events
+    this.eventHandlers = {};
+    if (params.onHistoryChange) {
+        this.on("historychange", (event) => params.onHistoryChange(event.canUndo, event.canRedo));
+    }
+    if (params.onSelectionChange) {
+        this.on("select", (event) => params.onSelectionChange(event.cells.map((cell) => ({x: cell.x, y: cell.y}))));
+    }
+    if (params.onChange) {
+        this.on("input", (event) => {
+            var data = this.getData();
+            for (const cell of event.cells) {
+                params.onChange(cell.x, cell.y, cell.value, data);
+            }
+        });
+    }
+
+    // selection
+    this.selection = new Set();
+    this.focusedCell = null;
+    this.selectionArea = null;
+    this.selectionOverlay = null;
+    this.selectionTool = params.selectionTool || "box";
+    this.editMode = params.editMode || "relative";
+    this.brushRadius = params.brushRadius || 0;
+    this.dragState = null;
+    this.pointerDownPosition = new THREE.Vector2();
+
+    // keyboard editing
+    this.valueStep = params.step != null ? params.step : null;
+    this.valueCoarseStep = params.coarseStep != null ? params.coarseStep : null;
+    this.cellEditor = null;
+
+    // tooltip
+    this.tooltipOptions = null;
+    this.tooltipElement = null;
+    this.tooltipText = null;
+    this.tooltipVector = new THREE.Vector3();
+    this.crosshairObject = null;
+
+    // table and section views (the cell hovered in these views is hovered in the chart too)
+    this.linkedHoveredCell = null;
+    this.tableOptions = null;
+    this.tableElement = null;
+    this.tableCells = null;
+    // only the changed table cells are updated when rendering
+    this.tableDirty = false;
+    this.tableDirtyCells = new Set();
+    this.tableSelection = new Set();
+    this.tableSelectionDirty = false;
+    this.tableHoveredCell = null;
+    this.sectionOptions = null;
+    this.sectionElement = null;
+    this.sectionCanvas = null;
+    this.sectionLine = null;
+    this.sectionPoints = null;
+    this.sectionDrag = null;
+
+    // init camera (the orthographic camera is used by the top view)
+    this.perspectiveCamera = new THREE.PerspectiveCamera( this.FOV, this.canvasContainer.offsetWidth / this.canvasContainer.offsetHeight, this.NEAR, this.FAR );
+    this.perspectiveCamera.position.set(this.CAMERA_DEFAULT_DISTANCE, this.CAMERA_DEFAULT_DISTANCE, this.CAMERA_DEFAULT_DISTANCE);
+    this.perspectiveCamera.lookAt( new THREE.Vector3(0,0,0) );
+    this.orthographicCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, this.NEAR, this.FAR);
+    this._updateOrthographicFrustum(this.perspectiveCamera.aspect);
+    this.camera = this.perspectiveCamera;
+    this.cameraTransition = null;
 
     // init camera controls
     this.cameraControls = new THREE.OrbitControls(this.camera, this.canvasContainer);
     this.cameraControls.enableRotate = true;
     this.cameraControls.enablePan = false;
     this.cameraControls.enableZoom = true;
+    this._onCameraChange = () => {
+        this._requestRender();
+        this._emit("viewchange", {
+            cells: [],
+            camera: {
+                position: this.camera.position.clone(),
+                target: this.cameraControls.target.clone()
+            }
+        });
+    };
+    this.cameraControls.addEventListener('change', this._onCameraChange);
+    // the user takes over the camera
+    this._onCameraStart = () => {
+        this.cameraTransition = null;
+    };
+    this.cameraControls.addEventListener('start', this._onCameraStart);
+    if (params.view != null) {
+        this.setView(params.view, {animate: false});
+    }
 
     // init scene
     this.scene = new THREE.Scene();
 
+    // init surface smoothing
+    this.smoothing = 1;
+    this.smoothingMode = "bicubic";
+    this._setSmoothingOptions(params.smoothing, params.smoothingMode);
+
+    // init color scale
+    this.colorScale = this._createColorScale(params.colorScale);
+
+    // init reference surface and diff mode
+    this.referenceObject = null;
+    this.referenceOptions = null;
+    this._setReferenceOptions(params.referenceStyle);
+    this.diffColorScale = this._createColorScale("diverging");
+    this.diffOptions = null;
+    this.diffRange = null;
+    if (params.diffMode) {
+        this._setDiffOptions(params.diffMode);
+    }
+
+    // init markers (operating points) and the hit counts of the cells
+    this.markers = new Map();
+    this.hitCounts = null;
+    this.maxHitCount = 0;
+    this.hitMapOptions = null;
+    this.hitMapDirty = false;
+    this.hitMapDirtyCells = new Set();
+    this._resetHitCounts();
+    this._setHitMapOptions(params.hitMap);
+
     // init matrix
-    this.setData(params.data);
+    this.chartSizeX = this.MATRIX_SIZE;
+    this.chartSizeY = this.MATRIX_SIZE;
+    this.chartSizeXHalf = this.chartSizeX * 0.5;
+    this.chartSizeYHalf = this.chartSizeY * 0.5;
+    this._initMatrix();
+    this._computeChart();
+
+    // render on demand (camera, edit, hover, resize, ...)
+    this.disposed = false;
+    this.animationFrame = null;
+    this.animateFunction = this._animate.bind(this);
 
     // init renderer
     this.renderer = new THREE.WebGLRenderer( { antialias: true} );
-    this.renderer.setClearColor(0xAAAAAA);
+    this.renderer.setClearColor(this.BACKGROUND_COLOR);
     this.renderer.setPixelRatio( window.devicePixelRatio );
     this.renderer.setSize( this.canvasContainer.offsetWidth, this.canvasContainer.offsetHeight );
     this.canvasContainer.appendChild( this.renderer.domElement );
+    // focusable, to receive the clipboard events
+    this.renderer.domElement.tabIndex = 0;
+    this.renderer.domElement.style.outline = "none";
 
-    this.onMatrixDataChange = params.onChange;
+    // init legend
+    this.legendElement = null;
+    if (params.legend) {
+        this._createLegend();
+    }
+
+    // init tooltip
+    this.setTooltip(params.tooltip);
 
-    // key/mouse events
-    this._onMouseMove = this._onMouseMoveEvent.bind(this);
-    this._onMouseDown = this._onMouseDownEvent.bind(this);
-    this._onMouseUp = this._onMouseUpEvent.bind(this);
+    // key/pointer events (touch gestures are handled by the pointer events, not by the browser)
+    this.renderer.domElement.style.touchAction = "none";
+    this._onPointerMove = this._onPointerMoveEvent.bind(this);
+    this._onPointerDown = this._onPointerDownEvent.bind(this);
+    this._onPointerUp = this._onPointerUpEvent.bind(this);
+    this._onPointerLeave = this._onPointerLeaveEvent.bind(this);
     this._onKeyDown = this._onKeyDownEvent.bind(this);
     this._onKeyUp = this._onKeyUpEvent.bind(this);
-    window.addEventListener( 'mousemove', this._onMouseMove, false );
-    window.addEventListener( 'mousedown', this._onMouseDown, false );
-    window.addEventListener( 'mouseup', this._onMouseUp, false );
-    window.addEventListener( 'keydown', this._onKeyDown, false );
-    window.addEventListener( 'keyup', this._onKeyUp, false );
-
-    // start animation
-    this.animateFunction = this._animate.bind(this)
-    this.animateFunction();
+    this.renderer.domElement.addEventListener( 'pointermove', this._onPointerMove, false );
+    this.renderer.domElement.addEventListener( 'pointerdown', this._onPointerDown, false );
+    // the pointer may be released out of the canvas or captured by the camera controls
+    this.canvasContainer.ownerDocument.addEventListener( 'pointerup', this._onPointerUp, false );
+    this.canvasContainer.ownerDocument.addEventListener( 'pointercancel', this._onPointerUp, false );
+    this.renderer.domElement.addEventListener( 'lostpointercapture', this._onPointerUp, false );
+    this.renderer.domElement.addEventListener( 'pointerleave', this._onPointerLeave, false );
+    this._onBlur = this._onBlurEvent.bind(this);
+    this.renderer.domElement.addEventListener( 'keydown', this._onKeyDown, false );
+    this.renderer.domElement.addEventListener( 'keyup', this._onKeyUp, false );
+    this.renderer.domElement.addEventListener( 'blur', this._onBlur, false );
+
+    // clipboard events
+    this._onCopy = this._onCopyEvent.bind(this);
+    this._onPaste = this._onPasteEvent.bind(this);
+    this.renderer.domElement.addEventListener( 'copy', this._onCopy, false );
+    this.renderer.domElement.addEventListener( 'paste', this._onPaste, false );
+
+    // init table view (shares the key and clipboard handlers of the canvas)
+    this.setTable(params.table);
+
+    // resize with the container
+    this.resizeObserver = null;
+    if (typeof(ResizeObserver) !== "undefined") {
+        this.resizeObserver = new ResizeObserver(() => this.resize());
+        this.resizeObserver.observe(this.canvasContainer);
+    }
+
+    this._requestRender();
 }
 
 MatrixHeightMap.prototype = {
 
+    //#region Model
+
+    /**
+     * Number of columns
+     */
+    get mX() {
+        return this.model.mX;
+    },
+
+    /**
+     * Number of rows
+     */
+    get mY() {
+        return this.model.mY;
+    },
+
+    /**
+     * X axis names (numeric breakpoints on numeric axis)
+     */
+    get XAxisNames() {
+        return this.model.XAxisNames;
+    },
+
+    /**
+     * Y axis names (numeric breakpoints on numeric axis)
+     */
+    get YAxisNames() {
+        return this.model.YAxisNames;
+    },
+
+    /**
+     * Min value
+     */
+    get minZ() {
+        return this.model.minZ;
+    },
+
+    /**
+     * Max value
+     */
+    get maxZ() {
+        return this.model.maxZ;
+    },
+
+    /**
+     * If the axis values are numeric breakpoints
+     */
+    get axisNumeric() {
+        return this.model.axisNumeric;
+    },
+
+    //#endregion
+
     //#region utils
 
     /**
@@ -139,291 +452,2431 @@ MatrixHeightMap.prototype = {
      * Convert value for matrix
      */
     _convertValueForMatrix: function(value) {
-        return (value * (this.maxZ - this.minZ)) + this.minZ;
+        return this.model.denormalize(value);
     },
 
     /**
      * Convert value from matrix
      */
     _convertValueFromMatrix: function(value) {
-        return (value - this.minZ) / (this.maxZ - this.minZ);
+        return this.model.normalize(value);
     },
 
     /**
      * Set matrix value color
      */
     _setMatrixValueColor: function(x, y) {
-        if (this.matrix[y] != null && this.matrix[y][x] != null) {
-            this.matrix[y][x].color = `hsl(${128 - (this.matrix[y][x].value * 128)}, 100%, 50%)`;
-            this.matrix[y][x].fadedColor = `hsl(${128 - (this.matrix[y][x].value * 128)}, 75%, 75%)`;
+        if (this.tableCells != null) {
+            this.tableDirtyCells.add(this._getIndexFromCoordinates(x, y));
+        }
+        if (this.cellColors[y] != null) {
+            var color = this._getValueColor(this.model.values[y][x], this.model.reference != null ? this.model.reference[y][x] : null);
+            this.cellColors[y][x] = {
+                color: color,
+                fadedColor: new THREE.Color(color).lerp(new THREE.Color(0xFFFFFF), 0.5).getStyle()
+            };
+        }
+    },
+
+    /**
+     * Make the container a positioning context for the overlays (legend, selection, ...)
+     */
+    _makeContainerRelative: function() {
+        if (window.getComputedStyle(this.canvasContainer).position === "static") {
+            this.canvasContainer.style.position = "relative";
         }
     },
 
     //#endregion
 
-    //#region Matrix
+    //#region Color scale
 
     /**
-     * Init matrix
+     * Create a color scale function (normalized value -> css color)
+     * @param {MatrixHeightMapModel} model the model of the values (optional, the model of the active layer by default)
      */
-    _initMatrix: function(initialData) {
-        // init matrix
-        this.matrix = new Array(this.mY);
-        for (var y = 0; y < this.mY; y++) {
-            this.matrix[y] = new Array(this.mX);
-            for (var x = 0; x < this.mX; x++) {
-                this.matrix[y][x] = {
-                    value: initialData != null && initialData[y] != null && initialData[y][x] != null ? this._convertValueFromMatrix(initialData[y][x]) : 0,
-                    color: `hsl(0, 100%, 50%)`
-                }
+    _createColorScale: function(colorScale, model) {
+        model = model || this.model;
+        var options = colorScale != null && typeof(colorScale) === "object" && !Array.isArray(colorScale) ? colorScale : {palette: colorScale};
+        var palette = options.palette != null ? options.palette : "default";
+        var colorFunction;
 
-                if (this.matrix[y][x].value < 0) {
-                    this.matrix[y][x].value = 0;
-                }
-                if (this.matrix[y][x].value > 1) {
-                    this.matrix[y][x].value = 1;
+        if (typeof(palette) === "function") {
+            colorFunction = (value) => {
+                var color = palette(model.denormalize(value), value);
+                return typeof(color) === "string" ? color : "#" + new THREE.Color(color).getHexString();
+            };
+        } else if (palette === "default") {
+            colorFunction = (value) => `hsl(${(128 - (value * 128)).toFixed(2)}, 100%, 50%)`;
+        } else {
+            var stops = Array.isArray(palette) ? palette : MatrixHeightMap.COLOR_PALETTES[palette];
+            if (stops == null || stops.length === 0) {
+                throw new Error(`MatrixHeightMap: unknown color palette "${palette}"`);
+            }
+            stops = stops.map((color) => new THREE.Color(color));
+            var color = new THREE.Color();
+            colorFunction = (value) => {
+                var position = Math.min(1, Math.max(0, value)) * (stops.length - 1);
+                var index = Math.min(stops.length - 2, Math.floor(position));
+                if (index < 0) {
+                    return "#" + stops[0].getHexString();
                 }
+                return "#" + color.copy(stops[index]).lerp(stops[index + 1], position - index).getHexString();
+            };
+        }
 
-                this._setMatrixValueColor(x, y);
+        return (value) => {
+            if (options.midpoint != null) {
+                value = this._applyColorMidpoint(value, model.normalize(options.midpoint));
             }
-        }
+            if (options.steps > 1) {
+                value = Math.min(options.steps - 1, Math.floor(value * options.steps)) / (options.steps - 1);
+            }
+            return colorFunction(value);
+        };
     },
 
     /**
-     * Set Matrix value
+     * Get the color of a (normalized) value, the color of its delta from the reference in diff mode
      */
-    _setValue: function(x, y, value) {
-        var cell = this.matrix[y][x];
-        cell.value = value;
-
-        if (cell.value < 0) {
-            cell.value = 0;
+    _getValueColor: function(value, reference) {
+        if (value == null || Number.isNaN(value)) {
+            return "#" + new THREE.Color(this.MISSING_COLOR).getHexString();
         }
-        if (cell.value > 1) {
-            cell.value = 1;
+        if (this.diffOptions == null) {
+            return this.colorScale(value);
         }
-
-        this._setMatrixValueColor(x, y);
-
-        if (this.vertexPivots) {
-            this.vertexPivots[y][x].position.y = cell.value;
-            this.vertexPivots[y][x][this.PIVOT_SELECTION_OBJECT].position.y = cell.value;
+        if (reference == null || Number.isNaN(reference)) {
+            // no delta without reference data
+            return "#" + new THREE.Color(this.MISSING_COLOR).getHexString();
         }
+        var delta = Math.min(1, Math.max(-1, (value - reference) / this.diffRange));
+        return this.diffColorScale(0.5 + (0.5 * delta));
+    },
 
-        if (this.object && this.object.children && this.object.children.length > 0) {
-            this.object.children[0].geometry.vertices[this._getIndexFromCoordinates(x, y)].z = cell.value;
-            this.object.children[0].geometry.verticesNeedUpdate = true;
+    /**
+     * Set the diff mode options (the delta range of the color scale is fixed when the mode is enabled)
+     */
+    _setDiffOptions: function(diffMode) {
+        if (this.model.reference == null) {
+            throw new Error("MatrixHeightMap: the diff mode requires a reference (see 'setReference')");
+        }
+        var options = diffMode === true ? {} : diffMode;
+        if (options.range != null && (typeof(options.range) !== "number" || !(options.range > 0))) {
+            throw new Error(`MatrixHeightMap: the diff range must be a number > 0 (got ${options.range})`);
         }
+        this.diffOptions = {range: options.range != null ? options.range : null};
+        this._computeDiffRange();
+    },
 
-        if (this.onMatrixDataChange) {
-            try {
-                var data = [];
-                var row;
-                for (var y = 0; y < this.mY; y++) {
-                    row = new Array(this.mX)
-                    for (var x = 0; x < this.mX; x++) {
-                        row[x] = Math.round(this._convertValueForMatrix(this.matrix[y][x].value) * 100000) / 100000;
-                    }
-                    data.push(row);
+    /**
+     * Compute the (normalized) delta mapped to the ends of the diff color scale
+     */
+    _computeDiffRange: function() {
+        if (this.diffOptions.range != null) {
+            this.diffRange = this.maxZ > this.minZ ? this.diffOptions.range / (this.maxZ - this.minZ) : 1;
+            return;
+        }
+        var range = 0;
+        for (var y = 0; y < this.mY; y++) {
+            for (var x = 0; x < this.mX; x++) {
+                if (this.model.values[y][x] != null && this.model.reference[y][x] != null) {
+                    range = Math.max(range, Math.abs(this.model.values[y][x] - this.model.reference[y][x]));
                 }
-                this.onMatrixDataChange(x, y, Math.round(this._convertValueForMatrix(value) * 100000) / 100000, data);
-            } catch(ex) {
             }
         }
+        // 1% of the value range when the surfaces are equal
+        this.diffRange = range > 0 ? range : 0.01;
     },
 
-    //#endregion
+    /**
+     * Update the colors of the cells and of the surface (e.g. when the color scale changes)
+     */
+    _updateColors: function() {
+        for (var y = 0; y < this.mY; y++) {
+            for (var x = 0; x < this.mX; x++) {
+                this._setMatrixValueColor(x, y);
+            }
+        }
+        this._updateVertexColors();
+        this._updateLegend();
+    },
 
-    //#region Chart
+    /**
+     * Remap a normalized value so that the midpoint is at the center of the color scale
+     */
+    _applyColorMidpoint: function(value, midpoint) {
+        if (midpoint <= 0 || midpoint >= 1) {
+            return value;
+        }
+        if (value < midpoint) {
+            return 0.5 * (value / midpoint);
+        }
+        return 0.5 + (0.5 * ((value - midpoint) / (1 - midpoint)));
+    },
 
     /**
-     * Compute grid lines
+     * Get the ticks of the legend in diff mode (from +range to -range)
      */
-    _computeGridLines: function() {
-        if (this.gridLines != null) {
-            this.scene.remove(this.gridLines);
+    _getDiffLegendValues: function() {
+        var range = this.diffRange * (this.maxZ - this.minZ);
+        var resolution = 10;
+        var values = [];
+        var value;
+        for (var i = 0; i <= resolution; i++) {
+            value = this.model.round(range - ((2 * range * i) / resolution));
+            values.push(value > 0 ? "+" + value : String(value));
         }
+        return values;
+    },
 
-        this.gridLines = new THREE.Object3D();
-        this.gridLines.add(this._makeZGridLine());
-        this.gridLines.add(this._makeYGridLine());
-        this.gridLines.add(this._makeXGridLine());
-        this.scene.add(this.gridLines);
+    /**
+     * Create color legend
+     */
+    _createLegend: function() {
+        this._makeContainerRelative();
+
+        this.legendElement = document.createElement("div");
+        this.legendElement.className = "matrix-hm-legend";
+        this.legendElement.style.position = "absolute";
+        this.legendElement.style.right = "48px";
+        this.legendElement.style.top = "20%";
+        this.legendElement.style.height = "60%";
+        this.legendElement.style.pointerEvents = "none";
+
+        this.legendCanvas = document.createElement("canvas");
+        this.legendCanvas.className = "matrix-hm-legend-bar";
+        this.legendCanvas.width = 1;
+        this.legendCanvas.height = 256;
+        this.legendCanvas.style.display = "block";
+        this.legendCanvas.style.width = "14px";
+        this.legendCanvas.style.height = "100%";
+        this.legendCanvas.style.border = "1px solid black";
+        this.legendElement.appendChild(this.legendCanvas);
+
+        this.legendLabels = document.createElement("div");
+        this.legendLabels.className = "matrix-hm-legend-labels";
+        this.legendLabels.style.position = "absolute";
+        this.legendLabels.style.left = "100%";
+        this.legendLabels.style.top = "0";
+        this.legendLabels.style.height = "100%";
+        this.legendLabels.style.marginLeft = "4px";
+        this.legendLabels.style.font = "bold 11px consolas";
+        this.legendElement.appendChild(this.legendLabels);
+
+        this.canvasContainer.appendChild(this.legendElement);
+        this._updateLegend();
     },
 
     /**
-     * Compute Chart
+     * Update color legend (gradient and tick labels)
      */
-    _computeChart: function() {
-        if (this.object) {
-            this.scene.remove(this.object);
+    _updateLegend: function() {
+        if (this.legendElement == null) {
+            return;
         }
-        if (this.vertexPivotsObject != null) {
-            this.scene.remove(this.vertexPivotsObject);
+
+        var diff = this.diffOptions != null;
+        var context = this.legendCanvas.getContext("2d");
+        var height = this.legendCanvas.height;
+        for (var i = 0; i < height; i++) {
+            context.fillStyle = (diff ? this.diffColorScale : this.colorScale)(1 - (i / (height - 1)));
+            context.fillRect(0, i, 1, 1);
         }
-        if (this.highlightedPivot != null) {
-            this.scene.remove(this.highlightedPivot);
+
+        // same ticks as the Z axis (signed deltas in diff mode)
+        var axisValues = diff ? this._getDiffLegendValues() : this._getZAxisValues();
+        var label;
+        this.legendLabels.innerHTML = "";
+        for (var i = 0; i < axisValues.length; i++) {
+            label = document.createElement("span");
+            label.style.position = "absolute";
+            label.style.whiteSpace = "nowrap";
+            label.style.top = `${(i / (axisValues.length - 1)) * 100}%`;
+            label.style.transform = "translateY(-50%)";
+            label.textContent = axisValues[i];
+            this.legendLabels.appendChild(label);
         }
+    },
 
-        var xIncrement = this.chartSizeX / (this.mX - 1);
-        var yIncrement = this.chartSizeY / (this.mY - 1);
+    //#endregion
+
+    //#region Matrix
 
-        // create chart geometry
-        this.objectGeometry = new THREE.PlaneGeometry(this.chartSizeX, this.chartSizeY, this.mX - 1, this.mY - 1);
-        var index;
+    /**
+     * Init matrix (the colors of the cells of the model)
+     */
+    _initMatrix: function() {
+        this.cellColors = new Array(this.mY);
         for (var y = 0; y < this.mY; y++) {
+            this.cellColors[y] = new Array(this.mX);
             for (var x = 0; x < this.mX; x++) {
-                index = this._getIndexFromCoordinates(x, y);
-                this.objectGeometry.vertices[index].z = this.matrix[y][x].value;
+                this._setMatrixValueColor(x, y);
             }
         }
+    },
 
-        this._updateVertexColors();
+    /**
+     * Get the position of a cell in the chart plane (fractional coordinates are allowed)
+     */
+    _getCellPosition: function(x, y) {
+        return {
+            x: (this.model.getAxisPositionAt("x", x) * this.chartSizeX) - this.chartSizeXHalf,
+            z: (this.model.getAxisPositionAt("y", y) * this.chartSizeY) - this.chartSizeYHalf
+        };
+    },
 
-        // create vertex points
-        this.vertexPivotsObject = new THREE.Object3D();
-        this.vertexPivotsSelection = [];
-        var geometry, material, selectionObject;
-        this.vertexPivots = new Array(this.mY);
-        for (var y = 0; y < this.mY; y++) {
-            this.vertexPivots[y] = new Array(this.mX);
-            for (var x = 0; x < this.mX; x++) {
-                geometry = new THREE.BoxGeometry(this.chartSizeX / 100, this.chartSizeX / 100, this.chartSizeX / 100);
-                material = new THREE.MeshBasicMaterial({color: 0x0000FF, transparent: true, depthTest: false, opacity: 0});
+    /**
+     * Called after the matrix dimensions change
+     */
+    _onMatrixResized: function() {
+        // cell coordinates are no longer valid (the edited cell may have been removed)
+        this._closeCellEditor(false);
+        this.dragState = null;
+        this.activePivotX = null;
+        this.activePivotY = null;
+        this.selection.clear();
+        this.focusedCell = null;
+        this.clearHistory();
+        this._resetHitCounts();
+        this._clampMarkers();
 
-                this.vertexPivots[y][x] = new THREE.Mesh(geometry, material);
-                this.vertexPivots[y][x].position.z = (yIncrement * y) - this.chartSizeYHalf;
-                this.vertexPivots[y][x].position.y = this.matrix[y][x].value
-                this.vertexPivots[y][x].position.x = (xIncrement * x) - this.chartSizeXHalf;
+        this._initMatrix();
+        this._computeChart();
+        this._onSelectionChanged();
+        this._emitDataChange([]);
+    },
 
-                geometry = new THREE.SphereGeometry(this.chartSizeX / 50, 4, 4);
-                material = new THREE.MeshBasicMaterial({color: 0x000000, transparent: true, depthTest: false, opacity: 0});
-                selectionObject = new THREE.Mesh(geometry, material);
-                selectionObject[this.PIVOT_COORDINATE_Y] = y;
-                selectionObject[this.PIVOT_COORDINATE_X] = x;
-                selectionObject.position.set(this.vertexPivots[y][x].position.x, this.vertexPivots[y][x].position.y, this.vertexPivots[y][x].position.z);
-                this.vertexPivotsSelection.push(selectionObject);
-                this.vertexPivots[y][x][this.PIVOT_SELECTION_OBJECT] = selectionObject;
+    /**
+     * Set Matrix value
+     * @param {boolean} constrained if the value is already constrained (see '_applyCells')
+     */
+    _setValue: function(x, y, value, constrained) {
+        var previousValue = this.model.getNormalizedValue(x, y);
+        if (!this.historyApplying && !constrained) {
+            value = this._constrainValue(x, y, value);
+        }
+        value = this.model.setNormalizedValue(x, y, value);
 
-                this.vertexPivotsObject.add(this.vertexPivots[y][x]);
-                this.vertexPivotsObject.add(selectionObject);
+        if (previousValue !== value) {
+            this.inputBatch.push({x: x, y: y, from: previousValue, to: value});
+            if ((previousValue == null) !== (value == null)) {
+                this.surfaceIndexDirty = true;
             }
         }
+        this._recordEdit(x, y, previousValue, value);
 
-        // create highlight pivot
-        var hpGeo = new THREE.BoxGeometry(this.chartSizeX / 50, this.chartSizeX / 50, this.chartSizeX / 50);
-        var hpMat = new THREE.MeshBasicMaterial({color: 0xFFFFFF, transparent: true, opacity: 0});
-        this.highlightedPivot = new THREE.Mesh(hpGeo, hpMat);
-
-        // create mesh
-        var wireframeObject = new THREE.Mesh(this.objectGeometry, new THREE.MeshBasicMaterial({color: 0x000000, wireframe: true}));
-        var colorObject = new THREE.Mesh(this.objectGeometry, new THREE.MeshBasicMaterial({vertexColors: true}));
+        this._setMatrixValueColor(x, y);
 
-        this.object = new THREE.Object3D();
-        this.object.add(wireframeObject);
-        this.object.add(colorObject);
-        this.object.rotation.x = -Math.PI * 0.5;
+        if (this.pivotsObject != null) {
+            this._updatePivot(x, y);
+            if (this.focusedCell != null && this.focusedCell.x === x && this.focusedCell.y === y) {
+                this._highlightVertex(x, y);
+            }
+        }
 
-        this._computeGridLines();
+        if (this.surfaceBatch != null) {
+            this.surfaceBatch = {
+                minX: Math.min(this.surfaceBatch.minX, x), minY: Math.min(this.surfaceBatch.minY, y),
+                maxX: Math.max(this.surfaceBatch.maxX, x), maxY: Math.max(this.surfaceBatch.maxY, y)
+            };
+        } else if (this.objectGeometry != null) {
+            this._updateSurfaceAroundCell(x, y);
+        }
+    },
 
-        this.scene.add(this.object);
-        this.scene.add(this.vertexPivotsObject);
-        this.scene.add(this.highlightedPivot);
+    /**
+     * Apply the locks and the editing constraints to an edit (the adjusted/rejected edits are
+     * reported by the constraint event when the edit is committed)
+     */
+    _constrainValue: function(x, y, value) {
+        var result = this.model.constrainValue(x, y, value);
+        this._recordConstraint(x, y, value, result);
+        return result.value;
     },
 
     /**
-     * Make z grid line 
+     * Apply the locks and the editing constraints to the edit of several cells at once (checked against the
+     * new values of the other cells, see 'constrainValues')
+     * @returns {{x: number, y: number, value: number}[]} the allowed values
      */
-    _makeZGridLine: function() {
-        var min = this.minZ;
-        var max = this.maxZ;
-        var resolution = 10;
-        var count = max;
-        var increment = Math.round((max - min) / resolution);
+    _constrainValues: function(cells) {
+        var results = this.model.constrainValues(cells);
+        results.forEach((result, i) => this._recordConstraint(result.x, result.y, cells[i].value, result));
+        return results;
+    },
 
-        var axisValues = [];
-        for (var i = 0; i <= resolution; i++) {
-            axisValues.push(count);
-            count -= increment;
+    /**
+     * Keep the adjusted/rejected edit of a cell for the constraint event
+     */
+    _recordConstraint: function(x, y, value, result) {
+        var index = this._getIndexFromCoordinates(x, y);
+        if (result.reason != null) {
+            this.constraintBatch.set(index, {x: x, y: y, requested: value != null ? this.model.clamp(value) : null, to: result.value, reason: result.reason});
+        } else {
+            this.constraintBatch.delete(index);
         }
+    },
 
-        var size = this.chartSizeX / 10;
+    //#endregion
 
-        return this._makeGridLine(axisValues,
-            64,
-            size,
-            1,
-            new THREE.Vector3(-this.chartSizeXHalf - size, 0.5, -this.chartSizeYHalf),
-            new THREE.Vector3(0, 0, 0));
-    },
+    //#region Import/Export
 
     /**
-     * Make y grid line 
+     * Set the min/max range of the values
      */
-    _makeYGridLine: function() {
-        var size = this.chartSizeX / 10;
-        return this._makeGridLine(this.YAxisNames,
-            56,
-            size,
-            this.chartSizeX,
-            new THREE.Vector3(-this.chartSizeXHalf - (size * 0.5), 0, 0),
-            new THREE.Vector3(-Math.PI * 0.5, 0, 0));
+    _setRange: function(min, max) {
+        if (min === this.minZ && max === this.maxZ) {
+            return;
+        }
+        this.model.setRange(min, max);
+        // the values in real units change
+        this.tableDirty = true;
+        this._computeGridLines();
+        if (this.diffOptions != null && this.diffOptions.range != null) {
+            // the diff range is in real units
+            this._computeDiffRange();
+            this._updateColors();
+        } else {
+            this._updateLegend();
+        }
     },
 
     /**
-     * Make x grid line 
+     * Export selection (bounding box of the selected cells) or the whole table (with headers) as TSV
      */
-    _makeXGridLine: function() {
-        var size = this.chartSizeY / 10;
-        return this._makeGridLine(new Array(...this.XAxisNames).reverse(),
-            56,
-            size,
-            this.chartSizeY,
-            new THREE.Vector3(0, 0, -this.chartSizeYHalf - (size * 0.5)),
-            new THREE.Vector3(-Math.PI * 0.5, 0, -Math.PI * 0.5),
-            true);
+    _exportClipboardData: function() {
+        if (this.selection.size === 0) {
+            return this.exportData("tsv");
+        }
+
+        var cells = this.getSelection();
+        var minX = Math.min(...cells.map((cell) => cell.x));
+        var maxX = Math.max(...cells.map((cell) => cell.x));
+        var minY = Math.min(...cells.map((cell) => cell.y));
+        var maxY = Math.max(...cells.map((cell) => cell.y));
+        return this.model.exportData("tsv", {x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1});
     },
 
     /**
-     * Make grid line 
+     * Check if a pasted table has the axis names of the matrix in its first row and column
      */
-    _makeGridLine: function(axisValues, fontSize, width, height, position, rotation, rotateText) {
-        var offset = 50;
+    _hasAxisNames: function(text) {
+        var table;
+        try {
+            table = this.model.parseData(text, "tsv", {headers: true});
+        } catch (ex) {
+            return false;
+        }
+        var matches = (names, axisNames) => names.length === axisNames.length && names.every((name, i) => name === String(axisNames[i]));
+        return matches(table.axis.x, this.model.XAxisNames) && matches(table.axis.y, this.model.YAxisNames);
+    },
 
-        // draw axis
-        var canvas = document.createElement('canvas');
-        canvas.width = width * 1024;
-        canvas.height = height * 1024;
-        var context = canvas.getContext('2d');
-        context.clearRect(0, 0, canvas.width, canvas.height);
+    /**
+     * Paste TSV data: a whole table (with the axis names of the matrix) replaces the data, a block of
+     * values is pasted at the top-left selected cell (or at the first cell if nothing is selected)
+     */
+    _importClipboardData: function(text) {
+        if (this._hasAxisNames(text)) {
+            this.importData(text, "tsv", {headers: true});
+            return;
+        }
 
-        context.font = "Bold " + fontSize + "px consolas";
-        if (rotateText) {
-            context.textAlign = "center";
-        } else {
-            context.textAlign = "right";
+        // a block can start with an empty (no data) cell, so it never has headers
+        var parsed = this.model.parseData(text, "tsv", {headers: false});
+        var selection = this.getSelection();
+        var startX = selection.length > 0 ? Math.min(...selection.map((cell) => cell.x)) : 0;
+        var startY = selection.length > 0 ? Math.min(...selection.map((cell) => cell.y)) : 0;
+        var columns = parsed.data[0].length;
+        if (startX + columns > this.mX || startY + parsed.data.length > this.mY) {
+            MatrixHeightMapModel.throwDataErrors([{row: 0, column: 0, message: `the pasted block (${columns}x${parsed.data.length}) does not fit in the matrix at [${startX}, ${startY}]`}]);
         }
-        context.textBaseline = "middle";
-        context.fillStyle   = "black";
-        context.strokeStyle = "black";
-        context.lineWidth = 4;
 
-        // var offsetIncrement = (canvas.height - 50) / (axisValues.length - 1);
-        var offsetIncrement = (canvas.height - offset) / (axisValues.length - 1);
-        var x, y;
-        for (var i = 0; i < axisValues.length; i++) {
-            x = canvas.width - 40;
-            y = (i * offsetIncrement) + (offset * 0.5); // (offsetIncrement * 0.25) + 
-            
-            context.save();
-            if (rotateText) {
-                context.translate(x - 20, y);
-                context.rotate(-Math.PI * 0.5);
-            } else {
-                context.translate(x, y);
+        var cells = [];
+        var value;
+        for (var y = 0; y < parsed.data.length; y++) {
+            for (var x = 0; x < columns; x++) {
+                // empty fields paste no data
+                value = parsed.data[y][x];
+                cells.push({x: startX + x, y: startY + y, value: this.model.isMissingValue(value) ? null : this._convertValueFromMatrix(value)});
             }
-            context.fillText(axisValues[i], 0, 0);
-            context.restore();
+        }
+        this._applyCells(cells);
+    },
+
+    /**
+     * Get the parts of the exported mesh: the surface and optionally the axis planes (chart coordinates,
+     * sRGB vertex colors in [0, 1], triangles with the front face up/towards the chart)
+     */
+    _getMeshParts: function(axisPlanes) {
+        var positions = this.objectGeometry.attributes.position;
+        var colors = this.objectGeometry.attributes.color;
+        var color = new THREE.Color();
+        var hex;
+        this._flushGeometryUpdates();
+        var indices = this.objectGeometry.index.array;
+        var surface = {name: "surface", positions: [], colors: [], indices: Array.from(indices.subarray(0, Math.min(indices.length, this.objectGeometry.drawRange.count)))};
+        for (var i = 0; i < positions.count; i++) {
+            surface.positions.push(positions.getX(i), positions.getY(i), positions.getZ(i));
+            // getHex is sRGB on every three.js version
+            hex = color.fromBufferAttribute(colors, i).getHex();
+            surface.colors.push(((hex >> 16) & 255) / 255, ((hex >> 8) & 255) / 255, (hex & 255) / 255);
+        }
+        var parts = [surface];
+
+        if (axisPlanes) {
+            var x = this.chartSizeXHalf;
+            var z = this.chartSizeYHalf;
+            hex = this.AXIS_PLANE_COLOR;
+            var planeColor = [((hex >> 16) & 255) / 255, ((hex >> 8) & 255) / 255, (hex & 255) / 255];
+            var planes = {
+                name: "axis_planes",
+                positions: [
+                    // floor
+                    -x, 0, -z, x, 0, -z, x, 0, z, -x, 0, z,
+                    // back wall (first row side)
+                    -x, 0, -z, x, 0, -z, x, 1, -z, -x, 1, -z,
+                    // side wall (first column side)
+                    -x, 0, -z, -x, 0, z, -x, 1, z, -x, 1, -z
+                ],
+                colors: [],
+                indices: [0, 3, 1, 3, 2, 1, 4, 5, 6, 4, 6, 7, 8, 10, 9, 8, 11, 10]
+            };
+            for (var i = 0; i < 12; i++) {
+                planes.colors.push(...planeColor);
+            }
+            parts.push(planes);
+        }
+        return parts;
+    },
+
+    //#endregion
+
+    //#region Interpolation
+
+    /**
+     * Set surface smoothing options
+     */
+    _setSmoothingOptions: function(subdivisions, mode) {
+        if (subdivisions != null) {
+            if (!Number.isInteger(subdivisions) || subdivisions < 1) {
+                throw new Error(`MatrixHeightMap: smoothing must be an integer >= 1 (got ${subdivisions})`);
+            }
+            this.smoothing = subdivisions;
+        }
+        if (mode != null) {
+            if (mode !== "bilinear" && mode !== "bicubic") {
+                throw new Error(`MatrixHeightMap: unknown smoothing mode "${mode}"`);
+            }
+            this.smoothingMode = mode;
+        }
+    },
+
+    //#endregion
+
+    //#region Events
+
+    /**
+     * Emit an event. Errors thrown by a handler don't stop the other handlers and are rethrown asynchronously
+     */
+    _emit: function(eventName, payload) {
+        var handlers = this.eventHandlers[eventName];
+        if (handlers == null || handlers.length === 0) {
+            return;
+        }
+        payload.type = eventName;
+        payload.layer = this.activeLayerId;
+        for (const handler of handlers.slice()) {
+            try {
+                handler.call(this, payload);
+            } catch (ex) {
+                setTimeout(() => { throw ex; });
+            }
+        }
+    },
+
+    /**
+     * Convert a normalized value to real units (rounded, null for no data)
+     * @param {object} range the {min, max} range of the value (default the current range)
+     */
+    _toRealValue: function(value, range) {
+        if (value == null) {
+            return null;
+        }
+        return this.model.round(range != null ? range.min + (value * (range.max - range.min)) : this._convertValueForMatrix(value));
+    },
+
+    /**
+     * Get the event payload of a cell (real units, null for no data)
+     * @param {number} value the normalized value (current cell value if not provided)
+     * @param {number} previousValue the previous normalized value (optional)
+     * @param {object} previousRange the {min, max} range of the previous value (default the current range)
+     */
+    _getCellPayload: function(x, y, value, previousValue, previousRange) {
+        var payload = {
+            x: x,
+            y: y,
+            xName: this.XAxisNames[x],
+            yName: this.YAxisNames[y],
+            value: this._toRealValue(value !== undefined ? value : this.model.values[y][x])
+        };
+        if (previousValue !== undefined) {
+            payload.previousValue = this._toRealValue(previousValue, previousRange);
+        }
+        return payload;
+    },
+
+    /**
+     * Emit the live changes done since the last flush
+     */
+    _flushInput: function() {
+        if (this.inputBatch.length === 0) {
+            return;
+        }
+        var changes = this.inputBatch;
+        this.inputBatch = [];
+        this._emit("input", {cells: changes.map((change) => this._getCellPayload(change.x, change.y, change.to, change.from))});
+    },
+
+    /**
+     * Emit the edits adjusted/rejected by the constraints since the last flush
+     */
+    _flushConstraints: function() {
+        if (this.constraintBatch.size === 0) {
+            return;
+        }
+        var adjusted = Array.from(this.constraintBatch.values());
+        this.constraintBatch.clear();
+        this._emit("constraint", {cells: adjusted.map((change) => Object.assign(this._getCellPayload(change.x, change.y, change.to), {
+            requestedValue: this._toRealValue(change.requested),
+            reason: change.reason
+        }))});
+    },
+
+    /**
+     * Emit data change (data replaced or matrix resized)
+     */
+    _emitDataChange: function(changes, range) {
+        this._emit("datachange", {
+            cells: changes.map((change) => this._getCellPayload(change.x, change.y, change.to, change.from, range != null ? range.from : null)),
+            data: this.getData()
+        });
+    },
+
+    //#endregion
+
+    //#region History
+
+    /**
+     * Begin an edit (all changes until commit are grouped in a single undo step and a single change event)
+     */
+    _beginEdit: function() {
+        if (this.pendingEdit == null) {
+            this.pendingEdit = {};
+        }
+    },
+
+    /**
+     * Record a cell change in the current edit
+     */
+    _recordEdit: function(x, y, from, to) {
+        // with a range change the real value changes even if the normalized value doesn't
+        if (from === to && this.pendingRange == null) {
+            return;
+        }
+
+        var standalone = this.pendingEdit == null;
+        if (standalone) {
+            this._beginEdit();
+        }
+
+        var index = this._getIndexFromCoordinates(x, y);
+        if (this.pendingEdit[index] != null) {
+            this.pendingEdit[index].to = to;
+        } else {
+            this.pendingEdit[index] = {x: x, y: y, from: from, to: to};
+        }
+
+        if (standalone) {
+            this._commitEdit();
+        }
+    },
+
+    /**
+     * Record a change of the min/max range in the current edit (undone with the values, the values
+     * of the edit are then compared in real units)
+     */
+    _recordRange: function(min, max) {
+        if (this.pendingRange == null) {
+            this.pendingRange = {from: {min: this.minZ, max: this.maxZ}, to: null};
+        }
+        this.pendingRange.to = {min: min, max: max};
+    },
+
+    /**
+     * Commit the current edit as an undo step and emit the change event
+     * @param {boolean} silent if true, no change event is emitted (the caller emits its own event)
+     * @returns {object[]} the committed cell changes
+     */
+    _commitEdit: function(silent) {
+        this._flushInput();
+        this._flushConstraints();
+
+        var entry = this.pendingEdit;
+        var range = this.pendingRange;
+        this.pendingEdit = null;
+        this.pendingRange = null;
+        if (entry == null) {
+            return [];
+        }
+
+        var changes = [];
+        for (const index in entry) {
+            if (range != null ? this._toRealValue(entry[index].from, range.from) !== this._toRealValue(entry[index].to)
+                : entry[index].from !== entry[index].to) {
+                changes.push(entry[index]);
+            }
+        }
+        if (changes.length === 0 && range == null) {
+            return changes;
+        }
+
+        if (!this.historyApplying && this.historyDepth > 0) {
+            this.undoStack.push({changes: changes, range: range});
+            if (this.undoStack.length > this.historyDepth) {
+                this.undoStack.splice(0, this.undoStack.length - this.historyDepth);
+            }
+            this.redoStack = [];
+            this._notifyHistoryChange();
+        }
+
+        if (changes.length === 0) {
+            return changes;
+        }
+        var previousRange = range != null ? range.from : null;
+        if (!this.patchApplying) {
+            this.version++;
+            this._emitPatch(changes, previousRange);
+        }
+        if (!silent) {
+            this._emit("change", {cells: changes.map((change) => this._getCellPayload(change.x, change.y, change.to, change.from, previousRange))});
+        }
+        return changes;
+    },
+
+    /**
+     * Emit a committed change set as a serializable patch (see 'applyPatch')
+     * @param {object} previousRange the {min, max} range of the old values (default the current range)
+     */
+    _emitPatch: function(changes, previousRange) {
+        var cells = changes.map((change) => this._getCellPayload(change.x, change.y, change.to, change.from, previousRange));
+        this._emit("patch", {
+            cells: cells,
+            patch: {
+                source: this.source,
+                version: this.version,
+                layer: this.activeLayerId,
+                cells: cells.map((cell) => ({x: cell.x, y: cell.y, xName: cell.xName, yName: cell.yName, from: cell.previousValue, to: cell.value}))
+            }
+        });
+    },
+
+    /**
+     * Set cells (normalized values) as a single edit, the surface is updated once. The constraints are
+     * applied to the whole set of values at once
+     * @returns {object[]} the committed changes (empty when the cells are part of a pending edit)
+     */
+    _applyCells: function(cells) {
+        var standalone = this.pendingEdit == null;
+        if (standalone) {
+            this._beginEdit();
+        }
+        this.surfaceBatch = {minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity};
+        try {
+            for (const cell of (this.historyApplying ? cells : this._constrainValues(cells))) {
+                this._setValue(cell.x, cell.y, cell.value, true);
+            }
+        } catch (ex) {
+            // invalid cell or value, don't leave the edit open
+            if (standalone) {
+                this.pendingEdit = null;
+            }
+            throw ex;
+        } finally {
+            var area = this.surfaceBatch;
+            this.surfaceBatch = null;
+            if (this.objectGeometry != null && area.minX <= area.maxX) {
+                this._updateSurfaceAroundArea(area.minX, area.minY, area.maxX, area.maxY);
+            }
+        }
+        return standalone ? this._commitEdit() : [];
+    },
+
+    /**
+     * Set the cells of a received patch as an edit of its own, committed apart from the edit in progress if any
+     * (e.g. a drag), which goes on from the patched values. The patch gets no new version and no patch event
+     * @returns {object[]} the committed changes
+     */
+    _applyPatchCells: function(cells) {
+        var pendingEdit = this.pendingEdit;
+        var pendingRange = this.pendingRange;
+        this.pendingEdit = null;
+        this.pendingRange = null;
+        var changes = [];
+        this.patchApplying = true;
+        try {
+            changes = this._applyCells(cells);
+        } finally {
+            this.patchApplying = false;
+            this.pendingEdit = pendingEdit;
+            this.pendingRange = pendingRange;
+        }
+
+        if (pendingEdit != null) {
+            var entry;
+            for (const change of changes) {
+                entry = pendingEdit[this._getIndexFromCoordinates(change.x, change.y)];
+                if (entry != null) {
+                    entry.from = change.to;
+                    entry.to = change.to;
+                }
+            }
+        }
+        return changes;
+    },
+
+    /**
+     * Apply an history step (undo or redo)
+     */
+    _applyHistoryEntry: function(entry, useOldValues) {
+        this.historyApplying = true;
+        try {
+            this._beginEdit();
+            if (entry.range != null) {
+                var range = useOldValues ? entry.range.from : entry.range.to;
+                this._recordRange(range.min, range.max);
+                this._setRange(range.min, range.max);
+            }
+            for (const change of entry.changes) {
+                this._setValue(change.x, change.y, useOldValues ? change.from : change.to);
+            }
+            this._commitEdit();
+        } finally {
+            this.historyApplying = false;
+            this.pendingEdit = null;
+            this.pendingRange = null;
+        }
+    },
+
+    /**
+     * Notify history change
+     */
+    _notifyHistoryChange: function() {
+        this._emit("historychange", {cells: [], canUndo: this.canUndo(), canRedo: this.canRedo()});
+    },
+
+    //#endregion
+
+    //#region Tooltip
+
+    /**
+     * Add the default tooltip/table style (first in the document head, so the page styles override it)
+     */
+    _addDefaultStyle: function() {
+        if (document.getElementById("matrix-hm-style") != null) {
+            return;
+        }
+        var style = document.createElement("style");
+        style.id = "matrix-hm-style";
+        style.textContent = [
+            ".matrix-hm-tooltip {",
+            "    padding: 3px 6px;",
+            "    border-radius: 3px;",
+            "    background: rgba(0, 0, 0, 0.75);",
+            "    color: white;",
+            "    font: bold 11px consolas;",
+            "}",
+            ".matrix-hm-table {",
+            "    border-collapse: collapse;",
+            "    font: 11px consolas;",
+            "}",
+            ".matrix-hm-table th, .matrix-hm-table td {",
+            "    padding: 2px 6px;",
+            "    border: 1px solid #CCCCCC;",
+            "    text-align: right;",
+            "    white-space: nowrap;",
+            "}",
+            ".matrix-hm-table td {",
+            "    position: relative;",
+            "    cursor: pointer;",
+            "}",
+            ".matrix-hm-table td.hovered {",
+            "    outline: 2px solid #0000FF;",
+            "    outline-offset: -2px;",
+            "}",
+            ".matrix-hm-table td.selected {",
+            "    outline: 2px solid #FF6600;",
+            "    outline-offset: -2px;",
+            "}",
+            ".matrix-hm-table td.locked {",
+            "    color: #555555;",
+            "    font-style: italic;",
+            "}",
+            ".matrix-hm-table td.missing {",
+            "    background-image: repeating-linear-gradient(45deg, transparent 0 4px, rgba(0, 0, 0, 0.15) 4px 6px) !important;",
+            "}",
+            ".matrix-hm-section {",
+            "    background: rgba(255, 255, 255, 0.85);",
+            "    border: 1px solid #888888;",
+            "}"
+        ].join("\n");
+        document.head.insertBefore(style, document.head.firstChild);
+    },
+
+    /**
+     * Create tooltip element
+     */
+    _createTooltip: function() {
+        this._makeContainerRelative();
+        this._addDefaultStyle();
+
+        this.tooltipElement = document.createElement("div");
+        this.tooltipElement.className = "matrix-hm-tooltip";
+        this.tooltipElement.style.position = "absolute";
+        this.tooltipElement.style.left = "0";
+        this.tooltipElement.style.top = "0";
+        this.tooltipElement.style.whiteSpace = "pre";
+        this.tooltipElement.style.pointerEvents = "none";
+        this.tooltipElement.style.display = "none";
+        this.canvasContainer.appendChild(this.tooltipElement);
+    },
+
+    /**
+     * Create the crosshair lines (row and column of the hovered cell)
+     */
+    _createCrosshair: function() {
+        this._removeCrosshair();
+        this.crosshairObject = new THREE.Object3D();
+        this.crosshairObject.visible = false;
+
+        var geometry;
+        for (const length of [this.mX, this.mY]) {
+            geometry = new THREE.BufferGeometry();
+            geometry.setAttribute("position", new THREE.BufferAttribute(new Float32Array(length * 3), 3));
+            this.crosshairObject.add(new THREE.Line(geometry, new THREE.LineBasicMaterial({color: this.CROSSHAIR_COLOR, transparent: true, opacity: 0.8, depthTest: false})));
+        }
+        this.scene.add(this.crosshairObject);
+    },
+
+    /**
+     * Remove the crosshair lines
+     */
+    _removeCrosshair: function() {
+        if (this.crosshairObject != null) {
+            this.scene.remove(this.crosshairObject);
+            this._disposeObject(this.crosshairObject);
+            this.crosshairObject = null;
+            this._requestRender();
+        }
+    },
+
+    /**
+     * Get the tooltip text of a cell
+     */
+    _getTooltipText: function(x, y) {
+        var cell = this._getCellPayload(x, y);
+        if (this.model.reference != null) {
+            var reference = this.model.reference[y][x];
+            cell.reference = reference != null ? this.model.round(this._convertValueForMatrix(reference)) : null;
+            cell.delta = cell.value != null && cell.reference != null ? this.model.round(cell.value - cell.reference) : null;
+        }
+        if (this.tooltipOptions.formatter != null) {
+            return String(this.tooltipOptions.formatter(cell));
+        }
+        var unit = this.model.unit != null ? " " + this.model.unit : "";
+        var delta = cell.delta != null ? ` (${cell.delta > 0 ? "+" : ""}${cell.delta})` : "";
+        var value = cell.value != null ? cell.value + unit : "no data";
+        return `${this.model.formatAxisValue(cell.xName, "x")}, ${this.model.formatAxisValue(cell.yName, "y")}\n${value}${delta}`;
+    },
+
+    /**
+     * Update tooltip (follows the hovered/dragged pivot) and crosshair
+     */
+    _updateTooltip: function() {
+        if (this.tooltipOptions == null) {
+            return;
+        }
+
+        var x = this.activePivotX;
+        var y = this.activePivotY;
+        var dims = null;
+        var position = null;
+        if (this.pivotsObject != null && this._isValidCell(x, y)) {
+            dims = this.canvasContainer.getBoundingClientRect();
+            position = this._getPivotScreenPosition(x, y, dims, this.tooltipVector);
+        }
+
+        if (position == null) {
+            if (this.tooltipText != null) {
+                this.tooltipElement.style.display = "none";
+                this.tooltipText = null;
+            }
+            if (this.crosshairObject != null) {
+                this.crosshairObject.visible = false;
+            }
+            return;
+        }
+
+        var text = this._getTooltipText(x, y);
+        if (text !== this.tooltipText) {
+            this.tooltipElement.textContent = text;
+            this.tooltipElement.style.display = "";
+            this.tooltipText = text;
+        }
+        this.tooltipElement.style.transform = `translate(${position.x - dims.left + this.TOOLTIP_OFFSET}px, ${position.y - dims.top - this.TOOLTIP_OFFSET}px) translateY(-100%)`;
+
+        if (this.crosshairObject != null) {
+            var row = this.crosshairObject.children[0].geometry;
+            var column = this.crosshairObject.children[1].geometry;
+            for (var i = 0; i < this.mX; i++) {
+                this._getPivotPosition(i, y, this.tmpVector);
+                row.attributes.position.setXYZ(i, this.tmpVector.x, this.tmpVector.y, this.tmpVector.z);
+            }
+            for (var j = 0; j < this.mY; j++) {
+                this._getPivotPosition(x, j, this.tmpVector);
+                column.attributes.position.setXYZ(j, this.tmpVector.x, this.tmpVector.y, this.tmpVector.z);
+            }
+            row.attributes.position.needsUpdate = true;
+            column.attributes.position.needsUpdate = true;
+            row.computeBoundingSphere();
+            column.computeBoundingSphere();
+            this.crosshairObject.visible = true;
+        }
+    },
+
+    //#endregion
+
+    //#region Selection
+
+    /**
+     * Check if the given coordinates are inside the matrix
+     */
+    _isValidCell: function(x, y) {
+        return x != null && y != null && x >= 0 && x < this.mX && y >= 0 && y < this.mY;
+    },
+
+    /**
+     * Check if cell is selected
+     */
+    _isCellSelected: function(x, y) {
+        return this.selection.has(this._getIndexFromCoordinates(x, y));
+    },
+
+    /**
+     * Toggle a cell in the selection
+     */
+    _toggleCellSelection: function(x, y) {
+        var index = this._getIndexFromCoordinates(x, y);
+        if (this.selection.has(index)) {
+            this.selection.delete(index);
+        } else {
+            this.selection.add(index);
+            this.focusedCell = {x: x, y: y};
+        }
+        this._onSelectionChanged();
+    },
+
+    /**
+     * Called after the selection changes
+     */
+    _onSelectionChanged: function() {
+        this._requestRender();
+        this.tableSelectionDirty = true;
+        if (this.focusedCell != null && !this._isCellSelected(this.focusedCell.x, this.focusedCell.y)) {
+            this.focusedCell = null;
+            if (this.selection.size > 0) {
+                this.focusedCell = this._getCoordinatesFromIndex(this.selection.values().next().value);
+            }
+        }
+
+        if (this.focusedCell != null) {
+            this._highlightVertex(this.focusedCell.x, this.focusedCell.y);
+        } else {
+            this._highlightVertex(null, null);
+        }
+
+        this._emit("select", {
+            cells: this.getSelection().map((cell) => this._getCellPayload(cell.x, cell.y)),
+            focusedCell: this.focusedCell != null ? this._getCellPayload(this.focusedCell.x, this.focusedCell.y) : null
+        });
+    },
+
+    /**
+     * Get the screen position (client coordinates) of a pivot
+     */
+    _getPivotScreenPosition: function(x, y, dims, vector) {
+        this._getPivotPosition(x, y, vector).project(this.camera);
+        if (vector.z > 1) {
+            // behind the camera
+            return null;
+        }
+        return {
+            x: ((vector.x + 1) * 0.5 * dims.width) + dims.left,
+            y: ((1 - vector.y) * 0.5 * dims.height) + dims.top
+        };
+    },
+
+    /**
+     * Get the overlay used to draw the selection area
+     */
+    _getSelectionOverlay: function() {
+        if (this.selectionOverlay == null) {
+            this._makeContainerRelative();
+            this.selectionOverlay = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+            this.selectionOverlay.style.position = "absolute";
+            this.selectionOverlay.style.left = "0";
+            this.selectionOverlay.style.top = "0";
+            this.selectionOverlay.style.width = "100%";
+            this.selectionOverlay.style.height = "100%";
+            this.selectionOverlay.style.pointerEvents = "none";
+
+            var shape = document.createElementNS("http://www.w3.org/2000/svg", "polygon");
+            shape.setAttribute("fill", "rgba(0, 0, 255, 0.1)");
+            shape.setAttribute("stroke", "#0000FF");
+            shape.setAttribute("stroke-dasharray", "4 2");
+            this.selectionOverlay.appendChild(shape);
+            this.canvasContainer.appendChild(this.selectionOverlay);
+        }
+        this.selectionOverlay.style.display = "";
+        return this.selectionOverlay;
+    },
+
+    /**
+     * Start box/lasso selection
+     */
+    _startSelectionArea: function(event) {
+        this.selectionArea = {
+            tool: this.selectionTool,
+            points: [{x: event.clientX, y: event.clientY}]
+        };
+        this._disableCameraControls();
+        this._drawSelectionArea();
+    },
+
+    /**
+     * Update box/lasso selection
+     */
+    _updateSelectionArea: function(event) {
+        var point = {x: event.clientX, y: event.clientY};
+        if (this.selectionArea.tool === "lasso") {
+            this.selectionArea.points.push(point);
+        } else {
+            this.selectionArea.points[1] = point;
+        }
+        this._drawSelectionArea();
+    },
+
+    /**
+     * Get the polygon (client coordinates) of the current selection area
+     */
+    _getSelectionAreaPolygon: function() {
+        var points = this.selectionArea.points;
+        if (this.selectionArea.tool === "lasso" || points.length < 2) {
+            return points;
+        }
+        return [
+            {x: points[0].x, y: points[0].y},
+            {x: points[1].x, y: points[0].y},
+            {x: points[1].x, y: points[1].y},
+            {x: points[0].x, y: points[1].y}
+        ];
+    },
+
+    /**
+     * Draw box/lasso selection
+     */
+    _drawSelectionArea: function() {
+        var overlay = this._getSelectionOverlay();
+        var dims = this.canvasContainer.getBoundingClientRect();
+        var points = this._getSelectionAreaPolygon().map((point) => `${point.x - dims.left},${point.y - dims.top}`);
+        overlay.firstChild.setAttribute("points", points.join(" "));
+    },
+
+    /**
+     * End box/lasso selection and add the cells inside to the selection
+     */
+    _endSelectionArea: function() {
+        var polygon = this._getSelectionAreaPolygon();
+        this.selectionArea = null;
+        this.selectionOverlay.style.display = "none";
+        this._restoreCameraControls();
+
+        if (polygon.length < 3) {
+            return;
+        }
+
+        var dims = this.renderer.domElement.getBoundingClientRect();
+        var vector = new THREE.Vector3();
+        var point, changed = false;
+        for (var y = 0; y < this.mY; y++) {
+            for (var x = 0; x < this.mX; x++) {
+                point = this.model.values[y][x] != null ? this._getPivotScreenPosition(x, y, dims, vector) : null;
+                if (point != null && !this._isCellSelected(x, y) && this._isPointInPolygon(point, polygon)) {
+                    this.selection.add(this._getIndexFromCoordinates(x, y));
+                    if (this.focusedCell == null) {
+                        this.focusedCell = {x: x, y: y};
+                    }
+                    changed = true;
+                }
+            }
+        }
+
+        if (changed) {
+            this._onSelectionChanged();
+        }
+    },
+
+    /**
+     * Check if a point is inside a polygon (ray casting)
+     */
+    _isPointInPolygon: function(point, polygon) {
+        var inside = false;
+        for (var i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            if (((polygon[i].y > point.y) !== (polygon[j].y > point.y)) &&
+                (point.x < (polygon[j].x - polygon[i].x) * (point.y - polygon[i].y) / (polygon[j].y - polygon[i].y) + polygon[i].x)) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    },
+
+    /**
+     * Disable camera controls while editing/selecting with the pointer
+     */
+    _disableCameraControls: function() {
+        if (this.cameraControlsState == null) {
+            this.cameraControlsState = {enabled: this.cameraControls.enabled};
+        }
+        // disabled as a whole: the controls (r131+) capture the pointer on 'pointerdown' when they are enabled,
+        // even with the rotation and the pan disabled
+        this.cameraControls.enabled = false;
+    },
+
+    /**
+     * Restore camera controls
+     */
+    _restoreCameraControls: function() {
+        if (this.cameraControlsState != null) {
+            this.cameraControls.enabled = this.cameraControlsState.enabled;
+            this.cameraControlsState = null;
+        }
+    },
+
+    //#endregion
+
+    //#region Keyboard editing
+
+    /**
+     * Move the focused cell (and the selection) with the arrow keys
+     * @param {boolean} extend if true, the new cell is added to the selection
+     */
+    _moveFocus: function(dx, dy, extend) {
+        var x = this.focusedCell != null ? Math.min(this.mX - 1, Math.max(0, this.focusedCell.x + dx)) : 0;
+        var y = this.focusedCell != null ? Math.min(this.mY - 1, Math.max(0, this.focusedCell.y + dy)) : 0;
+        if (extend) {
+            this.selection.add(this._getIndexFromCoordinates(x, y));
+            this.focusedCell = {x: x, y: y};
+            this._onSelectionChanged();
+        } else {
+            this.setSelection([{x: x, y: y}]);
+        }
+    },
+
+    /**
+     * Step the value of the selected cells (or of the focused cell)
+     */
+    _stepValue: function(direction, coarse) {
+        var step = this.valueStep != null ? this.valueStep : (this.model.constraints.step || (this.maxZ - this.minZ) / 100);
+        if (coarse) {
+            step = this.valueCoarseStep != null ? this.valueCoarseStep : step * 10;
+        }
+
+        var cells = this.selection.size > 0 ? this.getSelection() : (this.focusedCell != null ? [this.focusedCell] : []);
+        if (cells.length === 0) {
+            return;
+        }
+
+        this._applyCells(cells.filter((cell) => this.model.values[cell.y][cell.x] != null).map((cell) => ({
+            x: cell.x,
+            y: cell.y,
+            value: this._convertValueFromMatrix(this._convertValueForMatrix(this.model.values[cell.y][cell.x]) + (direction * step))
+        })));
+    },
+
+    /**
+     * Open an inline input to type the exact value of the focused cell
+     * @param {string} initialText the initial text of the input (if not provided, the current value)
+     */
+    _openCellEditor: function(initialText) {
+        if (this.focusedCell == null) {
+            return;
+        }
+        this._closeCellEditor(false);
+
+        var cell = {x: this.focusedCell.x, y: this.focusedCell.y};
+        // typed in the table: the editor covers the table cell, otherwise it is placed next to the pivot
+        var owner = this.tableElement != null && this.tableElement.contains(document.activeElement) ? this.tableElement : this.renderer.domElement;
+        var parent = owner === this.tableElement ? this.tableCells[cell.y][cell.x] : this.canvasContainer;
+
+        var input = document.createElement("input");
+        input.type = "text";
+        input.inputMode = "decimal";
+        input.className = "matrix-hm-cell-editor";
+        input.style.position = "absolute";
+        input.style.font = "bold 12px consolas";
+        if (owner === this.tableElement) {
+            input.style.left = "0";
+            input.style.top = "0";
+            input.style.width = "100%";
+            input.style.height = "100%";
+            input.style.boxSizing = "border-box";
+        } else {
+            this._makeContainerRelative();
+            var dims = this.canvasContainer.getBoundingClientRect();
+            var position = this._getPivotScreenPosition(cell.x, cell.y, dims, new THREE.Vector3()) || {x: dims.left, y: dims.top};
+            input.style.left = `${position.x - dims.left + 10}px`;
+            input.style.top = `${position.y - dims.top - 10}px`;
+            input.style.width = "80px";
+        }
+        var current = this.model.getValue(cell.x, cell.y);
+        input.value = initialText != null ? initialText : (current != null ? String(current) : "");
+
+        input.addEventListener("keydown", (event) => {
+            event.stopPropagation();
+            if (event.key === "Enter") {
+                event.preventDefault();
+                this._closeCellEditor(true);
+            } else if (event.key === "Escape") {
+                event.preventDefault();
+                this._closeCellEditor(false);
+            }
+        });
+        input.addEventListener("blur", () => this._closeCellEditor(true));
+
+        this.cellEditor = {input: input, x: cell.x, y: cell.y, owner: owner};
+        this._emit("editstart", {cells: [this._getCellPayload(cell.x, cell.y)]});
+        parent.appendChild(input);
+        input.focus();
+        if (initialText != null) {
+            input.setSelectionRange(input.value.length, input.value.length);
+        } else {
+            input.select();
+        }
+    },
+
+    /**
+     * Close the inline cell editor
+     * @param {boolean} commit if true, the typed value is set in the cell (invalid values keep the editor open)
+     */
+    _closeCellEditor: function(commit) {
+        var editor = this.cellEditor;
+        if (editor == null) {
+            return;
+        }
+
+        if (commit) {
+            var text = editor.input.value.trim();
+            var value = text !== "" ? Number(text) : NaN;
+            if (!Number.isFinite(value)) {
+                if (document.activeElement === editor.input) {
+                    editor.input.classList.add("invalid");
+                    return;
+                }
+                // lost focus with an invalid value
+                commit = false;
+            }
+        }
+
+        this.cellEditor = null;
+        if (editor.input.parentNode != null) {
+            editor.input.parentNode.removeChild(editor.input);
+        }
+        if (commit) {
+            this.setValue(editor.x, editor.y, value);
+        }
+        if (document.activeElement == null || document.activeElement === document.body) {
+            editor.owner.focus({preventScroll: true});
+        }
+    },
+
+    //#endregion
+
+    //#region Table
+
+    /**
+     * Create the table view (its content is built by '_buildTable')
+     */
+    _createTable: function() {
+        this._addDefaultStyle();
+
+        this.tableElement = document.createElement("div");
+        this.tableElement.className = "matrix-hm-table-view";
+        this.tableElement.tabIndex = 0;
+        this.tableElement.style.overflow = "auto";
+        this.tableElement.style.outline = "none";
+
+        this.tableElement.addEventListener("click", (event) => {
+            var cell = this._getTableEventCell(event);
+            if (cell == null) {
+                return;
+            }
+            if (event.shiftKey || event.ctrlKey || event.metaKey) {
+                this._toggleCellSelection(cell.x, cell.y);
+            } else {
+                this.setSelection([cell]);
+            }
+        });
+        this.tableElement.addEventListener("dblclick", (event) => {
+            var cell = this._getTableEventCell(event);
+            if (cell != null) {
+                this.setSelection([cell]);
+                this._openCellEditor();
+            }
+        });
+        this.tableElement.addEventListener("pointermove", (event) => {
+            var cell = this._getTableEventCell(event);
+            var previous = this.linkedHoveredCell;
+            if ((cell == null) !== (previous == null) || (cell != null && (cell.x !== previous.x || cell.y !== previous.y))) {
+                this.linkedHoveredCell = cell;
+                this._requestRender();
+            }
+        });
+        this.tableElement.addEventListener("pointerleave", () => {
+            this.linkedHoveredCell = null;
+            this._requestRender();
+        });
+        this.tableElement.addEventListener("keydown", this._onKeyDown, false);
+        this.tableElement.addEventListener("keyup", this._onKeyUp, false);
+        this.tableElement.addEventListener("blur", this._onBlur, false);
+        this.tableElement.addEventListener("copy", this._onCopy, false);
+        this.tableElement.addEventListener("paste", this._onPaste, false);
+
+        if (this.tableOptions.container != null) {
+            this.tableOptions.container.appendChild(this.tableElement);
+        } else {
+            this.canvasContainer.parentNode.insertBefore(this.tableElement, this.canvasContainer.nextSibling);
+        }
+    },
+
+    /**
+     * Build the table content (headers and one element per cell), when the matrix or its axis change
+     */
+    _buildTable: function() {
+        if (this.cellEditor != null && this.cellEditor.owner === this.tableElement) {
+            this._closeCellEditor(false);
+        }
+
+        var table = document.createElement("table");
+        table.className = "matrix-hm-table";
+        var header = table.createTHead().insertRow();
+        header.appendChild(document.createElement("th"));
+        for (var x = 0; x < this.mX; x++) {
+            header.appendChild(document.createElement("th")).textContent = this.model.formatAxisValue(this.XAxisNames[x], "x");
+        }
+
+        var body = table.createTBody();
+        var row, td;
+        this.tableCells = new Array(this.mY);
+        for (var y = 0; y < this.mY; y++) {
+            row = body.insertRow();
+            row.appendChild(document.createElement("th")).textContent = this.model.formatAxisValue(this.YAxisNames[y], "y");
+            this.tableCells[y] = new Array(this.mX);
+            for (var x = 0; x < this.mX; x++) {
+                td = row.insertCell();
+                td.dataset.x = x;
+                td.dataset.y = y;
+                td.appendChild(document.createTextNode(""));
+                this.tableCells[y][x] = td;
+            }
+        }
+
+        this.tableElement.innerHTML = "";
+        this.tableElement.appendChild(table);
+        this.tableDirty = true;
+        if (!this._isValidCell(this.linkedHoveredCell != null ? this.linkedHoveredCell.x : null, this.linkedHoveredCell != null ? this.linkedHoveredCell.y : null)) {
+            this.linkedHoveredCell = null;
+        }
+        this._updateTable();
+    },
+
+    /**
+     * Get the cell of a table event (null if the event is not on a value cell or is in the cell editor)
+     */
+    _getTableEventCell: function(event) {
+        if (this.cellEditor != null && event.target === this.cellEditor.input) {
+            return null;
+        }
+        var td = event.target.closest != null ? event.target.closest("td") : null;
+        if (td == null || td.dataset.x == null) {
+            return null;
+        }
+        return {x: Number(td.dataset.x), y: Number(td.dataset.y)};
+    },
+
+    /**
+     * Update the values, colors and states (selected, hovered, locked) of the table cells (called on every rendered
+     * frame, only the cells whose value, color, selection or hover changed since the last frame are updated)
+     */
+    _updateTable: function() {
+        if (this.tableCells == null) {
+            return;
+        }
+
+        var hovered = this._isValidCell(this.activePivotX, this.activePivotY) ? this._getIndexFromCoordinates(this.activePivotX, this.activePivotY) : null;
+        if (this.tableDirty) {
+            for (var y = 0; y < this.mY; y++) {
+                for (var x = 0; x < this.mX; x++) {
+                    this._updateTableCell(x, y);
+                }
+            }
+            this.tableSelection = new Set(this.selection);
+        } else {
+            var dirty = this.tableDirtyCells;
+            if (this.tableSelectionDirty) {
+                for (const index of this.tableSelection) {
+                    if (!this.selection.has(index)) {
+                        dirty.add(index);
+                    }
+                }
+                for (const index of this.selection) {
+                    if (!this.tableSelection.has(index)) {
+                        dirty.add(index);
+                    }
+                }
+                this.tableSelection = new Set(this.selection);
+            }
+            if (hovered !== this.tableHoveredCell) {
+                if (this.tableHoveredCell != null) {
+                    dirty.add(this.tableHoveredCell);
+                }
+                if (hovered != null) {
+                    dirty.add(hovered);
+                }
+            }
+            var cell;
+            for (const index of dirty) {
+                cell = this._getCoordinatesFromIndex(index);
+                if (this._isValidCell(cell.x, cell.y)) {
+                    this._updateTableCell(cell.x, cell.y);
+                }
+            }
+        }
+        this.tableDirty = false;
+        this.tableDirtyCells.clear();
+        this.tableSelectionDirty = false;
+        this.tableHoveredCell = hovered;
+    },
+
+    /**
+     * Update the value, color and states of a table cell (only the changed properties are written)
+     */
+    _updateTableCell: function(x, y) {
+        var td = this.tableCells[y][x];
+        var text = this.model.values[y][x] != null ? String(this.model.getValue(x, y)) : "";
+        if (td.firstChild.nodeValue !== text) {
+            td.firstChild.nodeValue = text;
+        }
+        var selected = this._isCellSelected(x, y);
+        var background = selected ? this.cellColors[y][x].color : this.cellColors[y][x].fadedColor;
+        if (td.matrixBackground !== background) {
+            td.style.background = background;
+            td.matrixBackground = background;
+        }
+        td.classList.toggle("selected", selected);
+        td.classList.toggle("hovered", x === this.activePivotX && y === this.activePivotY);
+        td.classList.toggle("locked", this.model.isLocked(x, y));
+        td.classList.toggle("missing", this.model.values[y][x] == null);
+    },
+
+    /**
+     * Remove the table view
+     */
+    _removeTable: function() {
+        if (this.tableElement == null) {
+            return;
+        }
+        if (this.cellEditor != null && this.cellEditor.owner === this.tableElement) {
+            this._closeCellEditor(false);
+        }
+        if (this.tableElement.parentNode != null) {
+            this.tableElement.parentNode.removeChild(this.tableElement);
+        }
+        this.tableElement = null;
+        this.tableCells = null;
+        this.tableDirtyCells.clear();
+        this.linkedHoveredCell = null;
+    },
+
+    //#endregion
+
+    //#region Section
+
+    /**
+     * Create the section panel (2D line chart of a row/column)
+     */
+    _createSectionPanel: function() {
+        this._addDefaultStyle();
+
+        this.sectionElement = document.createElement("div");
+        this.sectionElement.className = "matrix-hm-section";
+        if (this.sectionOptions.container != null) {
+            this.sectionElement.style.width = "100%";
+            this.sectionElement.style.height = "100%";
+        } else {
+            this._makeContainerRelative();
+            this.sectionElement.style.position = "absolute";
+            this.sectionElement.style.left = "8px";
+            this.sectionElement.style.bottom = "8px";
+            this.sectionElement.style.width = "40%";
+            this.sectionElement.style.height = "35%";
+        }
+
+        this.sectionCanvas = document.createElement("canvas");
+        this.sectionCanvas.style.display = "block";
+        this.sectionCanvas.style.width = "100%";
+        this.sectionCanvas.style.height = "100%";
+        this.sectionCanvas.style.touchAction = "none";
+        this.sectionElement.appendChild(this.sectionCanvas);
+
+        this.sectionCanvas.addEventListener("pointerdown", (event) => this._onSectionPointerDown(event));
+        this.sectionCanvas.addEventListener("pointermove", (event) => this._onSectionPointerMove(event));
+        this.sectionCanvas.addEventListener("pointerup", (event) => this._onSectionPointerUp(event));
+        this.sectionCanvas.addEventListener("pointercancel", (event) => this._onSectionPointerUp(event));
+        this.sectionCanvas.addEventListener("pointerleave", () => {
+            if (this.sectionDrag == null) {
+                this.linkedHoveredCell = null;
+                this._requestRender();
+            }
+        });
+
+        // the camera controls listen to the chart container
+        for (const type of ["pointerdown", "mousedown", "touchstart", "wheel"]) {
+            this.sectionElement.addEventListener(type, (event) => event.stopPropagation());
+        }
+
+        (this.sectionOptions.container || this.canvasContainer).appendChild(this.sectionElement);
+    },
+
+    /**
+     * Get the cells of the section (in axis order)
+     */
+    _getSectionCells: function() {
+        var cells = [];
+        if (this.sectionOptions.row != null) {
+            for (var x = 0; x < this.mX; x++) {
+                cells.push({x: x, y: this.sectionOptions.row});
+            }
+        } else {
+            for (var y = 0; y < this.mY; y++) {
+                cells.push({x: this.sectionOptions.column, y: y});
+            }
+        }
+        return cells;
+    },
+
+    /**
+     * Create the line that highlights the section on the surface
+     */
+    _createSectionLine: function() {
+        this._removeSectionLine();
+        var length = this.sectionOptions.row != null ? this.surfaceSizeX : this.surfaceSizeY;
+        var geometry = new THREE.BufferGeometry();
+        geometry.setAttribute("position", new THREE.BufferAttribute(new Float32Array(length * 3), 3));
+        this.sectionLine = new THREE.Line(geometry, new THREE.LineBasicMaterial({color: this.SECTION_COLOR, depthTest: false}));
+        this.sectionLine.frustumCulled = false;
+        this.sectionLine.renderOrder = 1;
+        this.scene.add(this.sectionLine);
+        this._requestRender();
+    },
+
+    /**
+     * Remove the section line
+     */
+    _removeSectionLine: function() {
+        if (this.sectionLine != null) {
+            this.scene.remove(this.sectionLine);
+            this._disposeObject(this.sectionLine);
+            this.sectionLine = null;
+            this._requestRender();
+        }
+    },
+
+    /**
+     * Update the section line (follows the rendered surface) and redraw the section panel
+     */
+    _updateSection: function() {
+        if (this.sectionOptions == null) {
+            return;
+        }
+
+        if (this.sectionLine != null) {
+            var surface = this.objectGeometry.attributes.position;
+            var positions = this.sectionLine.geometry.attributes.position;
+            var row = this.sectionOptions.row;
+            var index;
+            for (var i = 0; i < positions.count; i++) {
+                index = row != null ? (row * this.smoothing * this.surfaceSizeX) + i : (i * this.surfaceSizeX) + (this.sectionOptions.column * this.smoothing);
+                positions.setXYZ(i, surface.getX(index), surface.getY(index), surface.getZ(index));
+            }
+            positions.needsUpdate = true;
+        }
+
+        this._drawSection();
+    },
+
+    /**
+     * Draw the section panel (values, axis names, reference and the state of the points)
+     */
+    _drawSection: function() {
+        var canvas = this.sectionCanvas;
+        var width = canvas.clientWidth;
+        var height = canvas.clientHeight;
+        if (width === 0 || height === 0) {
+            return;
+        }
+        var ratio = window.devicePixelRatio || 1;
+        if (canvas.width !== Math.round(width * ratio) || canvas.height !== Math.round(height * ratio)) {
+            canvas.width = Math.round(width * ratio);
+            canvas.height = Math.round(height * ratio);
+        }
+
+        var context = canvas.getContext("2d");
+        context.setTransform(ratio, 0, 0, ratio, 0, 0);
+        context.clearRect(0, 0, width, height);
+        context.font = "bold 11px consolas";
+        context.fillStyle = "#000000";
+
+        var row = this.sectionOptions.row;
+        var axisName = row != null ? "x" : "y";
+        var plot = {left: 48, top: 22, right: width - 12, bottom: height - 22};
+        var toX = (cell) => plot.left + (this.model.getAxisPosition(axisName, row != null ? cell.x : cell.y) * (plot.right - plot.left));
+        var toY = (value) => plot.bottom - (value * (plot.bottom - plot.top));
+
+        // title
+        context.textAlign = "left";
+        context.textBaseline = "top";
+        context.fillText(row != null ? `Row ${this.model.formatAxisValue(this.YAxisNames[row], "y")}`
+            : `Column ${this.model.formatAxisValue(this.XAxisNames[this.sectionOptions.column], "x")}`, 6, 5);
+
+        // value grid
+        var ticks = 4;
+        context.textAlign = "right";
+        context.textBaseline = "middle";
+        context.strokeStyle = "#DDDDDD";
+        context.lineWidth = 1;
+        for (var i = 0; i <= ticks; i++) {
+            var y = toY(i / ticks);
+            context.beginPath();
+            context.moveTo(plot.left, y);
+            context.lineTo(plot.right, y);
+            context.stroke();
+            context.fillText(String(this.model.round(this.minZ + ((this.maxZ - this.minZ) * i / ticks))), plot.left - 6, y);
+        }
+
+        // axis names (every n-th name when they don't fit)
+        var cells = this._getSectionCells();
+        var names = row != null ? this.XAxisNames : this.YAxisNames;
+        var labelStep = Math.max(1, Math.ceil(36 / ((plot.right - plot.left) / (cells.length - 1))));
+        context.textAlign = "center";
+        context.textBaseline = "top";
+        for (var i = 0; i < cells.length; i += labelStep) {
+            context.fillText(String(this.model.formatAxisValue(names[i], axisName)), toX(cells[i]), plot.bottom + 6);
+        }
+
+        // reference curve (interrupted by the cells with no reference data)
+        if (this.model.reference != null) {
+            context.strokeStyle = "#888888";
+            context.setLineDash([4, 3]);
+            context.beginPath();
+            var reference;
+            for (var i = 0; i < cells.length; i++) {
+                reference = this.model.reference[cells[i].y][cells[i].x];
+                if (reference != null) {
+                    context[i === 0 || this.model.reference[cells[i - 1].y][cells[i - 1].x] == null ? "moveTo" : "lineTo"](toX(cells[i]), toY(reference));
+                }
+            }
+            context.stroke();
+            context.setLineDash([]);
+        }
+
+        // curve (interrupted by the cells with no data, which have no point)
+        this.sectionPoints = [];
+        context.strokeStyle = "#333333";
+        context.lineWidth = 1.5;
+        context.beginPath();
+        var previous = null;
+        for (const cell of cells) {
+            if (this.model.values[cell.y][cell.x] == null) {
+                previous = null;
+                continue;
+            }
+            var point = {x: cell.x, y: cell.y, px: toX(cell), py: toY(this.model.values[cell.y][cell.x])};
+            context[previous == null ? "moveTo" : "lineTo"](point.px, point.py);
+            this.sectionPoints.push(point);
+            previous = point;
+        }
+        context.stroke();
+
+        // points (same states as the pivots)
+        for (const point of this.sectionPoints) {
+            context.beginPath();
+            context.arc(point.px, point.py, 4, 0, 2 * Math.PI);
+            context.fillStyle = this.cellColors[point.y][point.x].color;
+            context.fill();
+            if (this._isCellSelected(point.x, point.y)) {
+                context.strokeStyle = "#" + new THREE.Color(this.PIVOT_SELECTED_COLOR).getHexString();
+                context.lineWidth = 2.5;
+            } else if (point.x === this.activePivotX && point.y === this.activePivotY) {
+                context.strokeStyle = "#" + new THREE.Color(this.PIVOT_COLOR).getHexString();
+                context.lineWidth = 2.5;
+            } else {
+                context.strokeStyle = this.model.isLocked(point.x, point.y) ? "#" + new THREE.Color(this.PIVOT_LOCKED_COLOR).getHexString() : "#333333";
+                context.lineWidth = 1;
+            }
+            context.stroke();
+        }
+    },
+
+    /**
+     * Get the section point under the pointer (CSS pixels, nearest point within the pick radius)
+     */
+    _getSectionPointAt: function(event) {
+        if (this.sectionPoints == null) {
+            return null;
+        }
+        var dims = this.sectionCanvas.getBoundingClientRect();
+        var x = event.clientX - dims.left;
+        var y = event.clientY - dims.top;
+        var nearest = this.PICK_RADIUS * this.PICK_RADIUS;
+        var result = null;
+        var distance;
+        for (const point of this.sectionPoints) {
+            distance = ((point.px - x) * (point.px - x)) + ((point.py - y) * (point.py - y));
+            if (distance <= nearest) {
+                nearest = distance;
+                result = {x: point.x, y: point.y};
+            }
+        }
+        return result;
+    },
+
+    /**
+     * Start dragging a point of the section (same selection rules and edits as the pivots of the chart)
+     */
+    _onSectionPointerDown: function(event) {
+        if ((event.pointerType === "mouse" && event.button !== 0) || this.sectionDrag != null || this.dragState != null) {
+            return;
+        }
+        var cell = this._getSectionPointAt(event);
+        if (cell == null) {
+            return;
+        }
+
+        if (event.shiftKey) {
+            this._toggleCellSelection(cell.x, cell.y);
+        } else if (!this._isCellSelected(cell.x, cell.y)) {
+            this.setSelection([cell]);
+        }
+        if (!this._isCellSelected(cell.x, cell.y)) {
+            return;
+        }
+
+        // the whole drag is a single undo step
+        this._beginEdit();
+        var height = this.sectionCanvas.clientHeight - 44;
+        this._startDrag(cell.x, cell.y, Math.max(1, height));
+        this.sectionDrag = {pointerId: event.pointerId, lastY: event.clientY};
+        this.sectionCanvas.setPointerCapture(event.pointerId);
+        event.preventDefault();
+    },
+
+    /**
+     * Drag a section point / hover the section points
+     */
+    _onSectionPointerMove: function(event) {
+        if (this.sectionDrag != null) {
+            if (event.pointerId === this.sectionDrag.pointerId && this.dragState != null) {
+                this.dragState.delta -= (event.clientY - this.sectionDrag.lastY) / this.dragState.pixelsPerUnit;
+                this.sectionDrag.lastY = event.clientY;
+                this._applyDrag();
+            }
+            return;
+        }
+
+        var cell = this._getSectionPointAt(event);
+        var previous = this.linkedHoveredCell;
+        if ((cell == null) !== (previous == null) || (cell != null && (cell.x !== previous.x || cell.y !== previous.y))) {
+            this.linkedHoveredCell = cell;
+            this._requestRender();
+        }
+    },
+
+    /**
+     * End dragging a section point
+     */
+    _onSectionPointerUp: function(event) {
+        if (this.sectionDrag == null || event.pointerId !== this.sectionDrag.pointerId) {
+            return;
+        }
+        this.sectionDrag = null;
+        if (this.dragState != null) {
+            this._endDrag();
+        }
+        this._commitEdit();
+    },
+
+    /**
+     * Remove the section panel and line
+     */
+    _removeSection: function() {
+        if (this.sectionDrag != null) {
+            this.sectionDrag = null;
+            this._endDrag();
+            this._commitEdit();
+        }
+        this._removeSectionLine();
+        if (this.sectionElement != null && this.sectionElement.parentNode != null) {
+            this.sectionElement.parentNode.removeChild(this.sectionElement);
+        }
+        this.sectionElement = null;
+        this.sectionCanvas = null;
+        this.sectionPoints = null;
+        this.linkedHoveredCell = null;
+    },
+
+    //#endregion
+
+    //#region Drag
+
+    /**
+     * Compute the cells affected by a drag (selection + brush neighbours) and their weights
+     */
+    _getDragCells: function() {
+        var cells = {};
+        var radius = this.brushRadius > 0 ? this.brushRadius : 0;
+        var range = Math.floor(radius);
+        var coords, index, distance, weight;
+
+        for (const selectedIndex of this.selection) {
+            coords = this._getCoordinatesFromIndex(selectedIndex);
+            for (var y = Math.max(0, coords.y - range); y <= Math.min(this.mY - 1, coords.y + range); y++) {
+                for (var x = Math.max(0, coords.x - range); x <= Math.min(this.mX - 1, coords.x + range); x++) {
+                    index = this._getIndexFromCoordinates(x, y);
+                    if (this.selection.has(index)) {
+                        weight = 1;
+                    } else {
+                        distance = Math.sqrt(((x - coords.x) * (x - coords.x)) + ((y - coords.y) * (y - coords.y)));
+                        if (distance > radius) {
+                            continue;
+                        }
+                        // cosine falloff
+                        weight = 0.5 * (1 + Math.cos(Math.PI * distance / (radius + 1)));
+                    }
+
+                    if (this.model.values[y][x] == null) {
+                        // no data, not moved
+                        continue;
+                    } else if (cells[index] == null) {
+                        cells[index] = {x: x, y: y, start: this.model.values[y][x], weight: weight};
+                    } else if (weight > cells[index].weight) {
+                        cells[index].weight = weight;
+                    }
+                }
+            }
+        }
+
+        return Object.values(cells);
+    },
+
+    /**
+     * Start dragging the selection from the given pivot
+     * @param {number} pixelsPerUnit the drag sensitivity (optional, by default the pivot follows the pointer in the chart)
+     */
+    _startDrag: function(x, y, pixelsPerUnit) {
+        this.dragState = {
+            x: x,
+            y: y,
+            pixelsPerUnit: pixelsPerUnit != null ? pixelsPerUnit : this._getDragPixelsPerUnit(x, y),
+            start: this.model.values[y][x],
+            delta: 0,
+            cells: this._getDragCells()
+        };
+        this._disableCameraControls();
+        this._emit("editstart", {cells: this.dragState.cells.map((cell) => this._getCellPayload(cell.x, cell.y))});
+    },
+
+    /**
+     * Get how many screen pixels a pivot moves when its (normalized) value changes by 1, so that the
+     * pivot follows the pointer whatever the zoom/size of the chart. Both measures are in CSS pixels,
+     * which keeps the sensitivity independent of the devicePixelRatio
+     */
+    _getDragPixelsPerUnit: function(x, y) {
+        var dims = this.renderer.domElement.getBoundingClientRect();
+        var bottom = this._getPivotPosition(x, y, new THREE.Vector3()).project(this.camera);
+        var top = this._getPivotPosition(x, y, new THREE.Vector3()).add(new THREE.Vector3(0, 1, 0)).project(this.camera);
+        var pixels = Math.abs(top.y - bottom.y) * 0.5 * dims.height;
+        // looking from above the value axis is (almost) perpendicular to the screen
+        return Math.max(this.MIN_DRAG_PIXELS_PER_UNIT, pixels);
+    },
+
+    /**
+     * Compute the new value of a dragged cell
+     */
+    _getDragValue: function(cell, pivotStart, pivotValue, delta) {
+        switch (this.editMode) {
+            case "absolute":
+                return cell.start + ((pivotValue - cell.start) * cell.weight);
+            case "proportional":
+                var pivotStartValue = this._convertValueForMatrix(pivotStart);
+                if (pivotStartValue !== 0) {
+                    var ratio = this._convertValueForMatrix(pivotValue) / pivotStartValue;
+                    return this._convertValueFromMatrix(this._convertValueForMatrix(cell.start) * (1 + ((ratio - 1) * cell.weight)));
+                }
+                // can't scale from zero, move relatively
+                return cell.start + (delta * cell.weight);
+            default:
+                return cell.start + (delta * cell.weight);
+        }
+    },
+
+    /**
+     * Apply the current drag to the affected cells
+     */
+    _applyDrag: function() {
+        var drag = this.dragState;
+        var pivotValue = Math.min(1, Math.max(0, drag.start + drag.delta));
+        this._applyCells(drag.cells.map((cell) => ({x: cell.x, y: cell.y, value: this._getDragValue(cell, drag.start, pivotValue, drag.delta)})));
+        this._flushInput();
+    },
+
+    /**
+     * End drag
+     */
+    _endDrag: function() {
+        this.dragState = null;
+        this._restoreCameraControls();
+    },
+
+    //#endregion
+
+    //#region Chart
+
+    /**
+     * Compute grid lines
+     */
+    _computeGridLines: function() {
+        if (this.gridLines != null) {
+            this.scene.remove(this.gridLines);
+            this._disposeObject(this.gridLines);
+        }
+        this._requestRender();
+
+        this.gridLines = new THREE.Object3D();
+        this.gridLines.add(this._makeZGridLine());
+        this.gridLines.add(this._makeYGridLine());
+        this.gridLines.add(this._makeXGridLine());
+        this.scene.add(this.gridLines);
+    },
+
+    /**
+     * Compute Chart
+     */
+    _computeChart: function() {
+        for (const object of [this.object, this.pivotsObject, this.highlightedPivot]) {
+            if (object != null) {
+                this.scene.remove(object);
+                this._disposeObject(object);
+            }
+        }
+
+        // create chart geometry (each cell is subdivided when the surface is smoothed)
+        this.surfaceSizeX = ((this.mX - 1) * this.smoothing) + 1;
+        this.surfaceSizeY = ((this.mY - 1) * this.smoothing) + 1;
+        this.objectGeometry = this._createSurfaceGeometry(this.surfaceSizeX, this.surfaceSizeY);
+        this._updateSurfaceIndex(this.objectGeometry, this.model.values);
+        this.surfaceIndexDirty = false;
+        this.surfaceUpdateRange = null;
+        this._updateSurfaceVertices(0, 0, this.surfaceSizeX - 1, this.surfaceSizeY - 1);
+
+        // create pivots (a single instanced mesh, the hidden pivots are scaled to 0)
+        var pivotSize = this.chartSizeX / 100;
+        this.pivotsObject = new THREE.InstancedMesh(
+            this._createBoxGeometry(pivotSize),
+            new THREE.MeshBasicMaterial({color: 0xFFFFFF, depthTest: false}),
+            this.mX * this.mY);
+        this.pivotsObject.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        this.pivotsObject.frustumCulled = false;
+        this.pivotsObject.renderOrder = 1;
+        this.pivotStates = new Int8Array(this.mX * this.mY).fill(this.PIVOT_HIDDEN);
+        for (var y = 0; y < this.mY; y++) {
+            for (var x = 0; x < this.mX; x++) {
+                this._updatePivot(x, y);
+            }
+        }
+        this.pivotUpdateRange = null;
+
+        // create highlight pivot
+        var hpGeo = this._createBoxGeometry(this.chartSizeX / 50);
+        var hpMat = new THREE.MeshBasicMaterial({color: 0xFFFFFF, transparent: true, opacity: 0});
+        this.highlightedPivot = new THREE.Mesh(hpGeo, hpMat);
+
+        // create mesh
+        var wireframeObject = new THREE.Mesh(this.objectGeometry, new THREE.MeshBasicMaterial({color: 0x000000, wireframe: true}));
+        this.surfaceMesh = new THREE.Mesh(this.objectGeometry, new THREE.MeshBasicMaterial({vertexColors: true}));
+
+        this.object = new THREE.Object3D();
+        this.object.add(wireframeObject);
+        this.object.add(this.surfaceMesh);
+
+        this._computeGridLines();
+        this._computeReferenceSurface();
+        this._computeLayerSurfaces();
+
+        this.scene.add(this.object);
+        this.scene.add(this.pivotsObject);
+        this.scene.add(this.highlightedPivot);
+        this._updateLayerStyle(this.layers.get(this.activeLayerId));
+
+        if (this.focusedCell != null) {
+            this._highlightVertex(this.focusedCell.x, this.focusedCell.y);
+        }
+
+        if (this.tooltipOptions != null && this.tooltipOptions.crosshair) {
+            this._createCrosshair();
+        }
+
+        if (this.tableElement != null) {
+            this._buildTable();
+        }
+
+        if (this.sectionOptions != null) {
+            var index = this.sectionOptions.row != null ? this.sectionOptions.row : this.sectionOptions.column;
+            if (index < (this.sectionOptions.row != null ? this.mY : this.mX)) {
+                this._createSectionLine();
+            } else {
+                // the row/column was removed
+                this.hideSection();
+            }
+        }
+    },
+
+    /**
+     * Create/update the ghost surface of the reference data (same grid as the surface)
+     */
+    _computeReferenceSurface: function() {
+        if (this.referenceObject != null) {
+            this.scene.remove(this.referenceObject);
+            this._disposeObject(this.referenceObject);
+            this.referenceObject = null;
+        }
+        if (this.model.reference == null) {
+            this._requestRender();
+            return;
+        }
+
+        var geometry = this._createSurfaceGeometry(this.surfaceSizeX, this.surfaceSizeY);
+        var positions = geometry.attributes.position;
+        var position, x, y, value;
+        for (var sy = 0; sy < this.surfaceSizeY; sy++) {
+            for (var sx = 0; sx < this.surfaceSizeX; sx++) {
+                x = sx / this.smoothing;
+                y = sy / this.smoothing;
+                position = this._getCellPosition(x, y);
+                value = this.smoothing === 1 ? this.model.reference[y][x]
+                    : Math.min(1, Math.max(0, this.model.interpolate(x, y, this.smoothingMode, false, this.model.reference)));
+                if (value == null || Number.isNaN(value)) {
+                    // in a hole (not drawn)
+                    value = 0;
+                }
+                positions.setXYZ((sy * this.surfaceSizeX) + sx, position.x, value, position.z);
+            }
+        }
+        geometry.deleteAttribute("color");
+        this._updateSurfaceIndex(geometry, this.model.reference);
+
+        var translucent = this.referenceOptions.mode === "translucent";
+        this.referenceObject = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+            color: this.referenceOptions.color,
+            wireframe: !translucent,
+            transparent: true,
+            opacity: this.referenceOptions.opacity != null ? this.referenceOptions.opacity : (translucent ? 0.35 : 0.5),
+            depthWrite: false,
+            side: THREE.DoubleSide
+        }));
+        this.scene.add(this.referenceObject);
+        this._requestRender();
+    },
+
+    /**
+     * Set the style of the reference surface
+     */
+    _setReferenceOptions: function(style) {
+        style = style || {};
+        if (style.mode != null && style.mode !== "wireframe" && style.mode !== "translucent") {
+            throw new Error(`MatrixHeightMap: unknown reference mode "${style.mode}"`);
+        }
+        this.referenceOptions = {
+            mode: style.mode || "wireframe",
+            color: style.color != null ? style.color : this.REFERENCE_COLOR,
+            opacity: style.opacity != null ? style.opacity : null
+        };
+    },
+
+    /**
+     * Dispose the geometries, materials and textures of an object and its children
+     */
+    _disposeObject: function(object) {
+        object.traverse((child) => {
+            if (child.geometry != null) {
+                child.geometry.dispose();
+            }
+            var materials = Array.isArray(child.material) ? child.material : (child.material != null ? [child.material] : []);
+            for (const material of materials) {
+                if (material.map != null) {
+                    material.map.dispose();
+                }
+                material.dispose();
+            }
+        });
+    },
+
+    /**
+     * Create a box geometry (buffer geometry on every three.js version)
+     */
+    _createBoxGeometry: function(size) {
+        return THREE.BoxBufferGeometry != null ? new THREE.BoxBufferGeometry(size, size, size) : new THREE.BoxGeometry(size, size, size);
+    },
+
+    /**
+     * Create the surface geometry: a grid of vertices (row by row) with position and color attributes,
+     * two triangles per quad
+     */
+    _createSurfaceGeometry: function(sizeX, sizeY) {
+        var count = sizeX * sizeY;
+        var positions = new THREE.BufferAttribute(new Float32Array(count * 3), 3);
+        var colors = new THREE.BufferAttribute(new Float32Array(count * 3), 3);
+        positions.setUsage(THREE.DynamicDrawUsage);
+        colors.setUsage(THREE.DynamicDrawUsage);
+
+        var indices = new (count > 65535 ? Uint32Array : Uint16Array)((sizeX - 1) * (sizeY - 1) * 6);
+        var i = 0;
+        var a;
+        for (var sy = 0; sy < sizeY - 1; sy++) {
+            for (var sx = 0; sx < sizeX - 1; sx++) {
+                a = (sy * sizeX) + sx;
+                indices.set([a, a + sizeX, a + 1, a + sizeX, a + sizeX + 1, a + 1], i);
+                i += 6;
+            }
+        }
+
+        var geometry = new THREE.BufferGeometry();
+        geometry.setIndex(new THREE.BufferAttribute(indices, 1));
+        geometry.setAttribute("position", positions);
+        geometry.setAttribute("color", colors);
+
+        // the values stay in [0, 1], the bounds don't need to be recomputed on every edit
+        geometry.boundingBox = new THREE.Box3(
+            new THREE.Vector3(-this.chartSizeXHalf, 0, -this.chartSizeYHalf),
+            new THREE.Vector3(this.chartSizeXHalf, 1, this.chartSizeYHalf));
+        geometry.boundingSphere = geometry.boundingBox.getBoundingSphere(new THREE.Sphere());
+        return geometry;
+    },
+
+    /**
+     * Extend the pending update range [start, end] of an attribute (uploaded before the next render)
+     */
+    _extendUpdateRange: function(range, start, end) {
+        if (range == null) {
+            return {start: start, end: end};
+        }
+        range.start = Math.min(range.start, start);
+        range.end = Math.max(range.end, end);
+        return range;
+    },
+
+    /**
+     * Mark a range of items of an attribute to be uploaded
+     */
+    _setAttributeUpdateRange: function(attribute, range) {
+        var offset = range.start * attribute.itemSize;
+        var count = (range.end - range.start + 1) * attribute.itemSize;
+        if (typeof(attribute.addUpdateRange) === "function") {
+            attribute.clearUpdateRanges();
+            attribute.addUpdateRange(offset, count);
+        } else {
+            attribute.updateRange.offset = offset;
+            attribute.updateRange.count = count;
+        }
+        attribute.needsUpdate = true;
+    },
+
+    /**
+     * Upload the geometry changes done since the last frame (only the changed ranges)
+     */
+    _flushGeometryUpdates: function() {
+        if (this.surfaceIndexDirty) {
+            this.surfaceIndexDirty = false;
+            this._updateSurfaceIndex(this.objectGeometry, this.model.values);
+        }
+        if (this.surfaceUpdateRange != null) {
+            this._setAttributeUpdateRange(this.objectGeometry.attributes.position, this.surfaceUpdateRange);
+            this._setAttributeUpdateRange(this.objectGeometry.attributes.color, this.surfaceUpdateRange);
+            this.surfaceUpdateRange = null;
+        }
+        if (this.pivotUpdateRange != null) {
+            this._setAttributeUpdateRange(this.pivotsObject.instanceMatrix, this.pivotUpdateRange);
+            if (this.pivotsObject.instanceColor != null) {
+                this._setAttributeUpdateRange(this.pivotsObject.instanceColor, this.pivotUpdateRange);
+            }
+            this.pivotUpdateRange = null;
+        }
+    },
+
+    /**
+     * Get the position of a pivot (the vertex of a cell)
+     */
+    _getPivotPosition: function(x, y, vector) {
+        var position = this._getCellPosition(x, y);
+        return vector.set(position.x, this.model.values[y][x] != null ? this.model.values[y][x] : 0, position.z);
+    },
+
+    /**
+     * Update the instance of a pivot (position, scale and color of its state)
+     */
+    _updatePivot: function(x, y) {
+        var index = this._getIndexFromCoordinates(x, y);
+        var state = this.pivotStates[index];
+        var scale = state === this.PIVOT_HIDDEN ? 0 : (state === this.PIVOT_LOCKED ? this.PIVOT_LOCKED_SCALE : 1);
+        this.tmpMatrix.makeScale(scale, scale, scale);
+        this.tmpMatrix.setPosition(this._getPivotPosition(x, y, this.tmpVector));
+        this.pivotsObject.setMatrixAt(index, this.tmpMatrix);
+
+        this.tmpColor.setHex(state === this.PIVOT_SELECTED ? this.PIVOT_SELECTED_COLOR : (state === this.PIVOT_LOCKED ? this.PIVOT_LOCKED_COLOR : this.PIVOT_COLOR));
+        this.pivotsObject.setColorAt(index, this.tmpColor);
+        this.pivotUpdateRange = this._extendUpdateRange(this.pivotUpdateRange, index, index);
+        this.pivotScreenDirty = true;
+        this._requestRender();
+    },
+
+    /**
+     * Get the values of the z axis ticks (from max to min)
+     */
+    _getZAxisValues: function() {
+        var min = this.minZ;
+        var max = this.maxZ;
+        var resolution = 10;
+        var increment = (max - min) / resolution;
+
+        var axisValues = [];
+        for (var i = 0; i <= resolution; i++) {
+            axisValues.push(Math.round((max - (i * increment)) * 100000) / 100000);
+        }
+        return axisValues;
+    },
+
+    /**
+     * Make z grid line 
+     */
+    _makeZGridLine: function() {
+        var axisValues = this._getZAxisValues();
+        var size = this.chartSizeX / 10;
+
+        return this._makeGridLine(axisValues,
+            64,
+            size,
+            1,
+            new THREE.Vector3(-this.chartSizeXHalf - size, 0.5, -this.chartSizeYHalf),
+            new THREE.Vector3(0, 0, 0));
+    },
+
+    /**
+     * Make y grid line 
+     */
+    _makeYGridLine: function() {
+        var size = this.chartSizeX / 10;
+        var labels = this.YAxisNames.map((value) => this.model.formatAxisValue(value, "y"));
+        var positions = this.YAxisNames.map((value, index) => this.model.getAxisPosition("y", index));
+        return this._makeGridLine(labels,
+            56,
+            size,
+            this.chartSizeX,
+            new THREE.Vector3(-this.chartSizeXHalf - (size * 0.5), 0, 0),
+            new THREE.Vector3(-Math.PI * 0.5, 0, 0),
+            false,
+            positions);
+    },
+
+    /**
+     * Make x grid line 
+     */
+    _makeXGridLine: function() {
+        var size = this.chartSizeY / 10;
+        // the x axis labels are drawn from the last column to the first one
+        var labels = this.XAxisNames.map((value) => this.model.formatAxisValue(value, "x")).reverse();
+        var positions = this.XAxisNames.map((value, index) => 1 - this.model.getAxisPosition("x", index)).reverse();
+        return this._makeGridLine(labels,
+            56,
+            size,
+            this.chartSizeY,
+            new THREE.Vector3(0, 0, -this.chartSizeYHalf - (size * 0.5)),
+            new THREE.Vector3(-Math.PI * 0.5, 0, -Math.PI * 0.5),
+            true,
+            positions);
+    },
+
+    /**
+     * Make grid line 
+     * @param {number[]} positions relative position [0, 1] of each axis value along the line (evenly spaced if not provided)
+     */
+    _makeGridLine: function(axisValues, fontSize, width, height, position, rotation, rotateText, positions) {
+        var offset = 50;
+
+        // draw axis
+        var canvas = document.createElement('canvas');
+        canvas.width = width * 1024;
+        canvas.height = height * 1024;
+        var context = canvas.getContext('2d');
+        context.clearRect(0, 0, canvas.width, canvas.height);
+
+        context.font = "Bold " + fontSize + "px consolas";
+        if (rotateText) {
+            context.textAlign = "center";
+        } else {
+            context.textAlign = "right";
+        }
+        context.textBaseline = "middle";
+        context.fillStyle   = "black";
+        context.strokeStyle = "black";
+        context.lineWidth = 4;
+
+        // var offsetIncrement = (canvas.height - 50) / (axisValues.length - 1);
+        var offsetIncrement = (canvas.height - offset) / (axisValues.length - 1);
+        var x, y;
+        for (var i = 0; i < axisValues.length; i++) {
+            x = canvas.width - 40;
+            y = positions != null
+                ? (positions[i] * (canvas.height - offset)) + (offset * 0.5)
+                : (i * offsetIncrement) + (offset * 0.5); // (offsetIncrement * 0.25) + 
+            
+            context.save();
+            if (rotateText) {
+                context.translate(x - 20, y);
+                context.rotate(-Math.PI * 0.5);
+            } else {
+                context.translate(x, y);
+            }
+            context.fillText(axisValues[i], 0, 0);
+            context.restore();
 
             context.beginPath();
             context.moveTo(x + 30, y);
@@ -431,125 +2884,1835 @@ MatrixHeightMap.prototype = {
             context.stroke();
         }
 
-        context.lineWidth = 4;
-        context.beginPath();
-        context.moveTo(canvas.width - 20, 0);
-        context.lineTo(canvas.width - 20, canvas.height);
-        context.stroke();
-        
-        // canvas contents will be used for a texture
-        var texture = new THREE.Texture(canvas);
-        texture.minFilter = THREE.LinearFilter;
-        texture.magFilter = THREE.LinearFilter;
-        texture.needsUpdate = true;
-        
-        // create axis plane
-        var geometry = new THREE.PlaneGeometry(width, height * 1.025, 1, 1);
-        var material = new THREE.MeshBasicMaterial({ map: texture, transparent: true, side: THREE.DoubleSide,  });
-        var mesh = new THREE.Mesh(geometry, material);
-        mesh.position.x = position.x;
-        mesh.position.y = position.y;
-        mesh.position.z = position.z;
+        context.lineWidth = 4;
+        context.beginPath();
+        context.moveTo(canvas.width - 20, 0);
+        context.lineTo(canvas.width - 20, canvas.height);
+        context.stroke();
+        
+        // canvas contents will be used for a texture
+        var texture = new THREE.Texture(canvas);
+        texture.minFilter = THREE.LinearFilter;
+        texture.magFilter = THREE.LinearFilter;
+        texture.needsUpdate = true;
+        
+        // create axis plane
+        var geometry = new THREE.PlaneGeometry(width, height * 1.025, 1, 1);
+        var material = new THREE.MeshBasicMaterial({ map: texture, transparent: true, side: THREE.DoubleSide,  });
+        var mesh = new THREE.Mesh(geometry, material);
+        mesh.position.x = position.x;
+        mesh.position.y = position.y;
+        mesh.position.z = position.z;
+
+        mesh.rotation.x = rotation.x;
+        mesh.rotation.y = rotation.y;
+        mesh.rotation.z = rotation.z;
+
+        return mesh;
+    },
+
+    /**
+     * Update the position of the surface vertices in the given range (surface grid coordinates)
+     */
+    _updateSurfaceVertices: function(startX, startY, endX, endY) {
+        startX = Math.max(0, startX);
+        startY = Math.max(0, startY);
+        endX = Math.min(this.surfaceSizeX - 1, endX);
+        endY = Math.min(this.surfaceSizeY - 1, endY);
+
+        var positions = this.objectGeometry.attributes.position;
+        var colors = this.objectGeometry.attributes.color;
+        var reference = this.diffOptions != null ? this.model.reference : null;
+        var index, position, x, y, value;
+        for (var sy = startY; sy <= endY; sy++) {
+            for (var sx = startX; sx <= endX; sx++) {
+                index = (sy * this.surfaceSizeX) + sx;
+                x = sx / this.smoothing;
+                y = sy / this.smoothing;
+                position = this._getCellPosition(x, y);
+                if (this.smoothing === 1) {
+                    value = this.model.values[y][x];
+                    this.tmpColor.set(this.cellColors[y][x].color);
+                } else {
+                    value = Math.min(1, Math.max(0, this.model.interpolate(x, y, this.smoothingMode, false)));
+                    this.tmpColor.set(this._getValueColor(value, reference != null
+                        ? Math.min(1, Math.max(0, this.model.interpolate(x, y, this.smoothingMode, false, reference))) : null));
+                }
+                if (value == null || Number.isNaN(value)) {
+                    // in a hole (not drawn)
+                    value = 0;
+                }
+                if (this.hitMapOptions != null) {
+                    this._applyHitTint(Math.round(x), Math.round(y), this.tmpColor);
+                }
+                positions.setXYZ(index, position.x, value, position.z);
+                colors.setXYZ(index, this.tmpColor.r, this.tmpColor.g, this.tmpColor.b);
+            }
+        }
+        this.surfaceUpdateRange = this._extendUpdateRange(this.surfaceUpdateRange,
+            (startY * this.surfaceSizeX) + startX, (endY * this.surfaceSizeX) + endX);
+        this._requestRender();
+    },
+
+    /**
+     * Update the triangles of a surface: the quads around the cells with no data are left out (holes)
+     * @param {THREE.BufferGeometry} geometry the surface geometry
+     * @param {number[][]} values the normalized grid of the surface (null for no data, e.g. the reference)
+     */
+    _updateSurfaceIndex: function(geometry, values) {
+        var sizeX = ((values[0].length - 1) * this.smoothing) + 1;
+        var sizeY = ((values.length - 1) * this.smoothing) + 1;
+        var indices = geometry.index.array;
+        var i = 0;
+        var a, x, y;
+        for (var sy = 0; sy < sizeY - 1; sy++) {
+            y = Math.floor(sy / this.smoothing);
+            for (var sx = 0; sx < sizeX - 1; sx++) {
+                x = Math.floor(sx / this.smoothing);
+                if (values[y][x] == null || values[y][x + 1] == null || values[y + 1][x] == null || values[y + 1][x + 1] == null) {
+                    continue;
+                }
+                a = (sy * sizeX) + sx;
+                indices.set([a, a + sizeX, a + 1, a + sizeX, a + sizeX + 1, a + 1], i);
+                i += 6;
+            }
+        }
+        geometry.setDrawRange(0, i);
+        geometry.index.needsUpdate = true;
+    },
+
+    /**
+     * Update the surface vertices affected by a cell change
+     */
+    _updateSurfaceAroundCell: function(x, y) {
+        this._updateSurfaceAroundArea(x, y, x, y);
+    },
+
+    /**
+     * Update the surface vertices affected by the change of an area of cells
+     */
+    _updateSurfaceAroundArea: function(minX, minY, maxX, maxY) {
+        var margin = this.smoothing === 1 ? 0 : (this.smoothingMode === "bicubic" ? 2 : 1);
+        this._updateSurfaceVertices((minX - margin) * this.smoothing, (minY - margin) * this.smoothing,
+            (maxX + margin) * this.smoothing, (maxY + margin) * this.smoothing);
+    },
+
+    /**
+     * Update vertex colors of chart (e.g. when the color scale changes)
+     */
+    _updateVertexColors: function() {
+        this._updateSurfaceVertices(0, 0, this.surfaceSizeX - 1, this.surfaceSizeY - 1);
+    },
+
+    /**
+     * Highlight vertex
+     */
+    _highlightVertex: function(x, y) {
+        if (this.highlightedPivot == null) {
+            return;
+        }
+        this._requestRender();
+        if (this._isValidCell(x, y)) {
+            this._getPivotPosition(x, y, this.highlightedPivot.position);
+            this.highlightedPivot.material.opacity = 0.75;
+        } else {
+            this.highlightedPivot.material.opacity = 0;
+            this.highlightedPivot.position.x = 0;
+            this.highlightedPivot.position.z = 0;
+        }
+    },
+
+    //#endregion
+
+    //#region Layers
+
+    /**
+     * Create a layer
+     */
+    _createLayer: function(id, model, colorScale, options) {
+        var opacity = options.opacity != null ? options.opacity : 1;
+        if (typeof(opacity) !== "number" || !(opacity >= 0 && opacity <= 1)) {
+            throw new Error(`MatrixHeightMap: the layer opacity must be a number in [0, 1] (got ${opacity})`);
+        }
+        return {
+            id: id,
+            model: model,
+            colorScale: colorScale,
+            opacity: opacity,
+            visible: options.visible !== false,
+            object: null,
+            undoStack: [],
+            redoStack: []
+        };
+    },
+
+    /**
+     * Get a layer (throws if it doesn't exist)
+     */
+    _getLayer: function(id) {
+        var layer = this.layers.get(id);
+        if (layer == null) {
+            throw new Error(`MatrixHeightMap: unknown layer "${id}"`);
+        }
+        return layer;
+    },
+
+    /**
+     * Get the axis definition of the active layer (to create/update the other layers)
+     */
+    _getLayerAxis: function() {
+        return Object.assign({}, this.model.axisOptions, {
+            x: this.XAxisNames.slice(),
+            y: this.YAxisNames.slice(),
+            numeric: this.axisNumeric
+        });
+    },
+
+    /**
+     * Apply a structure change of the active layer to the other layers (their edit history is cleared)
+     * @param {function} change function(model) applying the change to the model of a layer
+     */
+    _updateInactiveLayers: function(change) {
+        for (const layer of this.layers.values()) {
+            if (layer.id !== this.activeLayerId) {
+                change(layer.model);
+                layer.undoStack = [];
+                layer.redoStack = [];
+            }
+        }
+    },
+
+    /**
+     * Set cells (normalized values) of an inactive layer as a single undo step of the layer (the constraints of the
+     * layer apply)
+     * @returns {object[]} the changed cells ({x, y, xName, yName, value, previousValue}, real units)
+     */
+    _applyLayerCells: function(layer, cells) {
+        var model = layer.model;
+        var changes = [];
+        var from, to;
+        for (const cell of model.constrainValues(cells)) {
+            from = model.getNormalizedValue(cell.x, cell.y);
+            to = model.setNormalizedValue(cell.x, cell.y, cell.value);
+            if (from !== to) {
+                changes.push({x: cell.x, y: cell.y, from: from, to: to});
+            }
+        }
+        if (changes.length === 0) {
+            return [];
+        }
+
+        if (this.historyDepth > 0) {
+            layer.undoStack.push({changes: changes, range: null});
+            if (layer.undoStack.length > this.historyDepth) {
+                layer.undoStack.splice(0, layer.undoStack.length - this.historyDepth);
+            }
+            layer.redoStack = [];
+        }
+        if (layer.object != null) {
+            this.scene.remove(layer.object);
+            this._disposeObject(layer.object);
+            this._createLayerSurface(layer);
+        }
+
+        var range = {min: model.minZ, max: model.maxZ};
+        return changes.map((change) => ({
+            x: change.x,
+            y: change.y,
+            xName: model.XAxisNames[change.x],
+            yName: model.YAxisNames[change.y],
+            value: this._toRealValue(change.to, range),
+            previousValue: this._toRealValue(change.from, range)
+        }));
+    },
+
+    /**
+     * Create the surfaces of the inactive layers (not editable, no pivots)
+     */
+    _computeLayerSurfaces: function() {
+        for (const layer of this.layers.values()) {
+            if (layer.object != null) {
+                this.scene.remove(layer.object);
+                this._disposeObject(layer.object);
+                layer.object = null;
+            }
+            if (layer.id !== this.activeLayerId) {
+                this._createLayerSurface(layer);
+            }
+        }
+    },
+
+    /**
+     * Create the surface of an inactive layer (same grid and smoothing as the active surface)
+     */
+    _createLayerSurface: function(layer) {
+        var geometry = this._createSurfaceGeometry(this.surfaceSizeX, this.surfaceSizeY);
+        this._updateSurfaceIndex(geometry, layer.model.values);
+        var positions = geometry.attributes.position;
+        var colors = geometry.attributes.color;
+        var index, position, x, y, value;
+        for (var sy = 0; sy < this.surfaceSizeY; sy++) {
+            for (var sx = 0; sx < this.surfaceSizeX; sx++) {
+                index = (sy * this.surfaceSizeX) + sx;
+                x = sx / this.smoothing;
+                y = sy / this.smoothing;
+                position = this._getCellPosition(x, y);
+                value = this.smoothing === 1 ? layer.model.values[y][x]
+                    : Math.min(1, Math.max(0, layer.model.interpolate(x, y, this.smoothingMode, false)));
+                if (value == null || Number.isNaN(value)) {
+                    // in a hole (not drawn)
+                    value = 0;
+                }
+                this.tmpColor.set(layer.colorScale(value));
+                positions.setXYZ(index, position.x, value, position.z);
+                colors.setXYZ(index, this.tmpColor.r, this.tmpColor.g, this.tmpColor.b);
+            }
+        }
+
+        layer.object = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({vertexColors: true, side: THREE.DoubleSide}));
+        this.scene.add(layer.object);
+        this._updateLayerStyle(layer);
+    },
+
+    /**
+     * Apply the visibility and the opacity of a layer to its objects (the pivots belong to the active layer)
+     */
+    _updateLayerStyle: function(layer) {
+        var objects = layer.id === this.activeLayerId ? [this.object, this.pivotsObject, this.highlightedPivot] : [layer.object];
+        if (objects[0] == null) {
+            return;
+        }
+        for (const object of objects) {
+            object.visible = layer.visible;
+        }
+        objects[0].traverse((child) => {
+            if (child.material != null) {
+                child.material.transparent = layer.opacity < 1;
+                child.material.opacity = layer.opacity;
+                child.material.needsUpdate = true;
+            }
+        });
+        this._requestRender();
+    },
+
+    //#endregion
+
+    //#region Markers
+
+    /**
+     * Get the fractional cell indices of a marker position (clamped to the matrix)
+     */
+    _getMarkerCoordinates: function(position, coordinates) {
+        if (position == null) {
+            throw new Error("MatrixHeightMap: the marker position must be an object {x, y}");
+        }
+        coordinates = coordinates || (this.axisNumeric ? "axis" : "index");
+        var x = coordinates === "axis" ? this.model.getFractionalIndex("x", position.x) : position.x;
+        var y = coordinates === "axis" ? this.model.getFractionalIndex("y", position.y) : position.y;
+        if (typeof(x) !== "number" || typeof(y) !== "number" || !Number.isFinite(x) || !Number.isFinite(y)) {
+            throw new Error(`MatrixHeightMap: invalid marker position (${position.x}, ${position.y})`);
+        }
+        return {
+            x: Math.min(this.mX - 1, Math.max(0, x)),
+            y: Math.min(this.mY - 1, Math.max(0, y))
+        };
+    },
+
+    /**
+     * Get the height of the rendered surface at fractional cell indices (normalized)
+     */
+    _getSurfaceHeight: function(x, y) {
+        var mode = this.smoothing === 1 ? "bilinear" : this.smoothingMode;
+        var value = this.model.interpolate(x, y, mode, false);
+        // over a hole, on the floor
+        return Number.isNaN(value) ? 0 : Math.min(1, Math.max(0, value));
+    },
+
+    /**
+     * Create a marker: a box on the surface and a line for the trail of its recent positions
+     */
+    _createMarker: function(id, options) {
+        var trailLength = options.trail != null ? options.trail : this.MARKER_TRAIL_LENGTH;
+        if (!Number.isInteger(trailLength) || trailLength < 0) {
+            throw new Error(`MatrixHeightMap: the marker trail must be an integer >= 0 (got ${options.trail})`);
+        }
+        var color = new THREE.Color(options.color != null ? options.color : this.MARKER_COLOR);
+
+        var object = new THREE.Object3D();
+        var box = new THREE.Mesh(this._createBoxGeometry(this.chartSizeX / 40), new THREE.MeshBasicMaterial({color: color, depthTest: false}));
+        box.renderOrder = 2;
+        object.add(box);
+
+        var trail = null;
+        if (trailLength > 1) {
+            var geometry = new THREE.BufferGeometry();
+            geometry.setAttribute("position", new THREE.BufferAttribute(new Float32Array(trailLength * 3), 3));
+            geometry.setAttribute("color", new THREE.BufferAttribute(new Float32Array(trailLength * 3), 3));
+            geometry.setDrawRange(0, 0);
+            trail = new THREE.Line(geometry, new THREE.LineBasicMaterial({vertexColors: true, depthTest: false}));
+            trail.frustumCulled = false;
+            trail.renderOrder = 1;
+            object.add(trail);
+        }
+        this.scene.add(object);
+
+        return {
+            id: id,
+            x: 0,
+            y: 0,
+            color: color,
+            trailLength: trailLength,
+            // recent positions, the newest first
+            positions: [],
+            object: object,
+            box: box,
+            trail: trail,
+            dirty: true
+        };
+    },
+
+    /**
+     * Keep the markers and their trails in the matrix after a resize
+     */
+    _clampMarkers: function() {
+        var clamp = (point) => ({x: Math.min(this.mX - 1, point.x), y: Math.min(this.mY - 1, point.y)});
+        for (const marker of this.markers.values()) {
+            Object.assign(marker, clamp(marker));
+            marker.positions = marker.positions.map(clamp);
+            marker.dirty = true;
+        }
+    },
+
+    /**
+     * Update the objects of a marker (box and trail follow the surface, the trail fades to the background)
+     */
+    _updateMarker: function(marker) {
+        var position = this._getCellPosition(marker.x, marker.y);
+        marker.box.position.set(position.x, this._getSurfaceHeight(marker.x, marker.y), position.z);
+        if (marker.trail != null) {
+            var positions = marker.trail.geometry.attributes.position;
+            var colors = marker.trail.geometry.attributes.color;
+            var background = new THREE.Color(this.BACKGROUND_COLOR);
+            var point;
+            for (var i = 0; i < marker.positions.length; i++) {
+                point = marker.positions[i];
+                position = this._getCellPosition(point.x, point.y);
+                positions.setXYZ(i, position.x, this._getSurfaceHeight(point.x, point.y), position.z);
+                this.tmpColor.copy(marker.color).lerp(background, i / marker.trailLength);
+                colors.setXYZ(i, this.tmpColor.r, this.tmpColor.g, this.tmpColor.b);
+            }
+            positions.needsUpdate = true;
+            colors.needsUpdate = true;
+            marker.trail.geometry.setDrawRange(0, marker.positions.length);
+        }
+        marker.dirty = false;
+    },
+
+    /**
+     * Update the markers moved since the last frame (all of them when the surface changed) and the hit map colors
+     */
+    _updateMarkers: function() {
+        if (this.hitMapDirty) {
+            this._updateVertexColors();
+        } else {
+            for (const index of this.hitMapDirtyCells) {
+                this._updateHitTint(index);
+            }
+        }
+        this.hitMapDirty = false;
+        this.hitMapDirtyCells.clear();
+        var surfaceChanged = this.surfaceUpdateRange != null;
+        for (const marker of this.markers.values()) {
+            if (marker.dirty || surfaceChanged) {
+                this._updateMarker(marker);
+            }
+        }
+    },
+
+    /**
+     * Reset the hit counts of the cells
+     */
+    _resetHitCounts: function() {
+        this.hitCounts = this.model.values.map((row) => row.map(() => 0));
+        this.maxHitCount = 0;
+        this.hitMapDirty = this.hitMapOptions != null;
+        this.hitMapDirtyCells.clear();
+    },
+
+    /**
+     * Count a visit of the cell nearest to a marker position
+     */
+    _countHit: function(x, y) {
+        x = Math.round(x);
+        y = Math.round(y);
+        var count = ++this.hitCounts[y][x];
+        if (this.hitMapOptions == null) {
+            this.maxHitCount = Math.max(this.maxHitCount, count);
+        } else if (count > this.maxHitCount) {
+            // the tints are relative to the max count: the whole surface is recolored (once per frame, whatever the rate of the updates)
+            this.maxHitCount = count;
+            this.hitMapDirty = true;
+        } else {
+            this.hitMapDirtyCells.add(this._getIndexFromCoordinates(x, y));
+        }
+    },
+
+    /**
+     * Recolor the surface vertices tinted by the hit count of a cell (the vertices nearest to the cell)
+     */
+    _updateHitTint: function(index) {
+        var cell = this._getCoordinatesFromIndex(index);
+        this._updateSurfaceVertices((cell.x * this.smoothing) - Math.floor(this.smoothing / 2), (cell.y * this.smoothing) - Math.floor(this.smoothing / 2),
+            (cell.x * this.smoothing) + Math.ceil(this.smoothing / 2) - 1, (cell.y * this.smoothing) + Math.ceil(this.smoothing / 2) - 1);
+    },
+
+    /**
+     * Tint a color by the hit count of a cell (relative to the most visited cell)
+     */
+    _applyHitTint: function(x, y, color) {
+        if (this.maxHitCount > 0) {
+            color.lerp(this.hitMapOptions.color, this.HIT_MAP_MAX_TINT * (this.hitCounts[y][x] / this.maxHitCount));
+        }
+    },
+
+    /**
+     * Set the hit map options (null when disabled)
+     */
+    _setHitMapOptions: function(hitMap) {
+        if (!hitMap) {
+            this.hitMapOptions = null;
+            return;
+        }
+        var options = hitMap === true ? {} : hitMap;
+        this.hitMapOptions = {color: new THREE.Color(options.color != null ? options.color : this.HIT_MAP_COLOR)};
+    },
+
+    //#endregion
+
+    //#region Camera
+
+    /**
+     * Set the aspect ratio of the cameras
+     */
+    _setCameraAspect: function(aspect) {
+        this.perspectiveCamera.aspect = aspect;
+        this.perspectiveCamera.updateProjectionMatrix();
+        this._updateOrthographicFrustum(aspect);
+    },
+
+    /**
+     * Update the frustum of the orthographic camera (its zoom sets the visible area)
+     */
+    _updateOrthographicFrustum: function(aspect) {
+        var halfHeight = this.MATRIX_SIZE / 2;
+        this.orthographicCamera.left = -halfHeight * aspect;
+        this.orthographicCamera.right = halfHeight * aspect;
+        this.orthographicCamera.top = halfHeight;
+        this.orthographicCamera.bottom = -halfHeight;
+        this.orthographicCamera.updateProjectionMatrix();
+    },
+
+    /**
+     * Get the camera position/target of a view preset
+     */
+    _getViewPreset: function(view) {
+        // same distance to the target in every view
+        var distance = this.CAMERA_DEFAULT_DISTANCE * Math.sqrt(3);
+        switch (view) {
+            case "iso":
+                return {
+                    position: new THREE.Vector3(this.CAMERA_DEFAULT_DISTANCE, this.CAMERA_DEFAULT_DISTANCE, this.CAMERA_DEFAULT_DISTANCE),
+                    target: new THREE.Vector3(0, 0, 0),
+                    orthographic: false
+                };
+            case "top":
+                return {position: new THREE.Vector3(0, distance, 0), target: new THREE.Vector3(0, 0, 0), orthographic: true};
+            case "front":
+                return {position: new THREE.Vector3(0, 0.5, distance), target: new THREE.Vector3(0, 0.5, 0), orthographic: false};
+            case "side":
+                return {position: new THREE.Vector3(distance, 0.5, 0), target: new THREE.Vector3(0, 0.5, 0), orthographic: false};
+            default:
+                throw new Error(`MatrixHeightMap: unknown view "${view}"`);
+        }
+    },
+
+    /**
+     * Get the height of the area visible by the orthographic camera
+     */
+    _getOrthographicHeight: function() {
+        return (this.orthographicCamera.top - this.orthographicCamera.bottom) / this.orthographicCamera.zoom;
+    },
+
+    /**
+     * Get the distance to the target at which the perspective camera sees an area of the given height
+     */
+    _getPerspectiveDistance: function(height) {
+        return height / (2 * Math.tan((this.perspectiveCamera.fov / 2) * Math.PI / 180));
+    },
+
+    /**
+     * Switch between the perspective and the orthographic camera, keeping the visible area
+     */
+    _switchCamera: function(orthographic) {
+        if ((this.camera === this.orthographicCamera) === orthographic) {
+            return;
+        }
+
+        var target = this.cameraControls.target;
+        var offset = new THREE.Vector3().subVectors(this.camera.position, target);
+        if (orthographic) {
+            var height = offset.length() / this._getPerspectiveDistance(1);
+            this.orthographicCamera.position.copy(this.perspectiveCamera.position);
+            this.orthographicCamera.zoom = (this.orthographicCamera.top - this.orthographicCamera.bottom) / height;
+            this.orthographicCamera.updateProjectionMatrix();
+            this.camera = this.orthographicCamera;
+        } else {
+            this.perspectiveCamera.position.copy(target).add(offset.setLength(this._getPerspectiveDistance(this._getOrthographicHeight())));
+            this.camera = this.perspectiveCamera;
+        }
+        this.cameraControls.object = this.camera;
+        this.cameraControls.update();
+    },
+
+    /**
+     * Move the camera (animated) around a new target. The camera orbits the target during the transition,
+     * the orthographic camera is only used at the end (leaving it, the perspective camera is used from the start)
+     * @param {THREE.Vector3} position the final camera position (only its direction from the target if 'height' is given)
+     * @param {THREE.Vector3} target the final target
+     * @param {boolean} orthographic if true, the orthographic camera is used at the end of the transition
+     * @param {number} height the height of the visible area at the end of the transition (optional)
+     * @param {object} options {animate: boolean (default true), duration: number (ms)}
+     */
+    _moveCamera: function(position, target, orthographic, height, options) {
+        options = options || {};
+        var duration = options.animate === false ? 0 : (options.duration != null ? options.duration : this.VIEW_TRANSITION_DURATION);
+
+        this.cameraTransition = null;
+        this._switchCamera(false);
+
+        var to = new THREE.Spherical().setFromVector3(new THREE.Vector3().subVectors(position, target));
+        if (height != null) {
+            to.radius = this._getPerspectiveDistance(height);
+        }
+        var from = new THREE.Spherical().setFromVector3(new THREE.Vector3().subVectors(this.camera.position, this.cameraControls.target));
+        // shortest rotation around the vertical axis
+        if (to.theta - from.theta > Math.PI) {
+            to.theta -= 2 * Math.PI;
+        } else if (from.theta - to.theta > Math.PI) {
+            to.theta += 2 * Math.PI;
+        }
+
+        this.cameraTransition = {
+            from: from,
+            to: to,
+            fromTarget: this.cameraControls.target.clone(),
+            toTarget: target.clone(),
+            orthographic: orthographic,
+            start: null,
+            duration: duration
+        };
+        if (duration > 0) {
+            this._requestRender();
+        } else {
+            this._updateCameraTransition();
+        }
+    },
+
+    /**
+     * Update the camera transition (called on every frame until the transition ends)
+     */
+    _updateCameraTransition: function() {
+        var transition = this.cameraTransition;
+        if (transition == null) {
+            return;
+        }
+
+        var now = typeof(performance) !== "undefined" ? performance.now() : Date.now();
+        if (transition.start == null) {
+            transition.start = now;
+        }
+        var t = transition.duration > 0 ? Math.min(1, (now - transition.start) / transition.duration) : 1;
+        // ease in/out
+        var k = t < 0.5 ? 4 * t * t * t : 1 - (Math.pow((-2 * t) + 2, 3) / 2);
+
+        var spherical = new THREE.Spherical(
+            transition.from.radius + ((transition.to.radius - transition.from.radius) * k),
+            transition.from.phi + ((transition.to.phi - transition.from.phi) * k),
+            transition.from.theta + ((transition.to.theta - transition.from.theta) * k));
+        this.cameraControls.target.lerpVectors(transition.fromTarget, transition.toTarget, k);
+        this.camera.position.setFromSpherical(spherical).add(this.cameraControls.target);
+        this.cameraControls.update();
+
+        if (t >= 1) {
+            this.cameraTransition = null;
+            this._switchCamera(transition.orthographic);
+        }
+    },
+
+    //#endregion
+
+    //#region API
+
+    /**
+     * Set matrix data (values out of [min, max] are clamped). If the dimensions don't match the matrix an Error
+     * listing the problems found is thrown (also available as 'error.errors') and the data is not changed
+     * @param {number[][]} matrixData the matrix data (number of columns and rows must correspond to the matrix dimensions)
+     */
+    setData(matrixData) {
+        var previousValues = this.model.values.map((row) => row.slice());
+        this.model.setData(matrixData);
+
+        // record the whole data change as a single undo step (with the range change of importData, if any)
+        this._beginEdit();
+        var range = this.pendingRange;
+        for (var y = 0; y < this.mY; y++) {
+            for (var x = 0; x < this.mX; x++) {
+                this._recordEdit(x, y, previousValues[y][x], this.model.values[y][x]);
+            }
+        }
+        var changes = this._commitEdit(true);
+
+        this._initMatrix();
+        this._computeChart();
+        this._emitDataChange(changes, range);
+    },
+
+    /**
+     * Get the focused cell (the cell edited with the keyboard)
+     * @returns {{x: number, y: number}} the focused cell or null
+     */
+    getFocusedCell: function() {
+        return this.focusedCell != null ? {x: this.focusedCell.x, y: this.focusedCell.y} : null;
+    },
+
+    /**
+     * Focus a cell (selects it)
+     * @param {number} x the x coordinate of the matrix (horizontal)
+     * @param {number} y the y coordinate of the matrix (vertical)
+     */
+    setFocusedCell: function(x, y) {
+        if (this._isValidCell(x, y)) {
+            this.setSelection([{x: x, y: y}]);
+        }
+    },
+
+    /**
+     * Add an event handler. Every event payload has the event 'type' and the 'cells' involved
+     * ({x, y, xName, yName, value, previousValue?} in real units), plus:
+     * - hover: the cell under the pointer (empty 'cells' when leaving a pivot)
+     * - select: the selected cells and the 'focusedCell'
+     * - editstart: the cells about to be edited (drag start or inline editor)
+     * - input: the cells changed live (e.g. on every pointer move of a drag)
+     * - change: the cells changed by a committed edit (drag end, setValue, undo/redo, ...)
+     * - datachange: the cells changed by setData/importData (empty when the matrix is resized or its axis change) and the whole 'data'
+     * - viewchange: the 'camera' {position, target}
+     * - historychange: 'canUndo' and 'canRedo'
+     * - constraint: the edited cells whose value was adjusted or rejected by the locks/constraints, with the
+     *   'requestedValue' and the 'reason' ("locked", "monotonic", "gradient" or "step")
+     * - layerchange: the active layer changed
+     * - patch: every committed edit as a serializable 'patch' {source, version, layer, cells: [{x, y, xName, yName, from, to}]}
+     *   (see 'applyPatch')
+     * - error: the 'error' of an action of the user that failed (e.g. the paste of malformed data)
+     * @param {string} eventName the event name
+     * @param {function} handler the handler, called with the event payload
+     */
+    on: function(eventName, handler) {
+        if (this.eventHandlers[eventName] == null) {
+            this.eventHandlers[eventName] = [];
+        }
+        this.eventHandlers[eventName].push(handler);
+    },
+
+    /**
+     * Remove event handlers
+     * @param {string} eventName the event name (if not provided, all the handlers are removed)
+     * @param {function} handler the handler to remove (if not provided, all the handlers of the event are removed)
+     */
+    off: function(eventName, handler) {
+        if (eventName == null) {
+            this.eventHandlers = {};
+        } else if (handler == null) {
+            delete this.eventHandlers[eventName];
+        } else if (this.eventHandlers[eventName] != null) {
+            this.eventHandlers[eventName] = this.eventHandlers[eventName].filter((h) => h !== handler);
+        }
+    },
+
+    /**
+     * Set Matrix value
+     * @param {number} x the x coordinate of the matrix (horizontal)
+     * @param {number} y the y coordinate of the matrix (vertical)
+     * @param {number} value the value to set (null for no data)
+     */
+    setValue: function(x, y, value) {
+        if (value !== null && (typeof(value) !== "number" || !Number.isFinite(value))) {
+            throw new Error(`MatrixHeightMap: the value of cell [${x}, ${y}] must be a number or null (got ${value})`);
+        }
+        // part of the current edit if any (e.g. called from an input handler during a drag)
+        var standalone = this.pendingEdit == null;
+        if (standalone) {
+            this._beginEdit();
+        }
+        try {
+            this._setValue(x, y, value === null ? null : this._convertValueFromMatrix(value));
+        } catch (ex) {
+            // invalid cell or value: nothing changed, don't leave the edit open
+            if (standalone) {
+                this.pendingEdit = null;
+            }
+            throw ex;
+        }
+        if (standalone) {
+            this._commitEdit();
+        }
+    },
+
+    /**
+     * Apply a bulk operation to the whole matrix or an area. The values are clamped to [min, max], the locks and the
+     * constraints apply, and it's a single undo step with a single change event
+     * @param {"set" | "offset" | "scale" | "smooth" | "interpolate" | "gradient"} operation the operation (see MatrixHeightMapModel.computeOperation)
+     * @param {object} options the area and the options of the operation (see MatrixHeightMapModel.computeOperation)
+     */
+    applyOperation: function(operation, options) {
+        this._applyCells(this.model.computeOperation(operation, options));
+    },
+
+    /**
+     * Fill the cells with no data (a single undo step with a single change event)
+     * @param {"nearest" | "interpolate"} strategy the value of the nearest cell with data, or interpolated linearly between
+     * the nearest cells with data of the row and of the column (default "interpolate")
+     * @param {object} options {area: {x, y, width, height}} // the cells filled (default the whole matrix)
+     */
+    fillMissing: function(strategy, options) {
+        this.applyOperation("fillMissing", Object.assign({}, options, {strategy: strategy}));
+    },
+
+    /**
+     * Apply a patch emitted by another instance (see the 'patch' event). The cells whose value is no longer the
+     * 'from' value of the patch are conflicts, and so are the cells of a patch whose version was already received
+     * from its source or that comes after missed versions. The applied cells are a single undo step with a single
+     * change event (no patch event and no new version, so that two linked instances don't echo the patches). The
+     * patch is committed apart from an edit in progress (e.g. a drag), which goes on from the patched values. A patch
+     * of an inactive layer is applied to that layer (an undo step of its own history, no change event)
+     * @param {object} patch the patch {source, version, layer, cells: [{x, y, xName, yName, from, to}]} (real units, null for no data)
+     * @param {object} options {
+     *  conflicts: "skip" | "overwrite" | "reject" // skip the cells in conflict, overwrite them anyway or reject the whole patch (default "skip")
+     * }
+     * @returns {{applied: object[], conflicts: object[]}} the changed cells ({x, y, xName, yName, value, previousValue}) and the conflicts
+     * ({x, y, from, to, value, reason}, 'value' is the current value and 'reason' is "value", "cell", "stale", "gap" or "layer")
+     */
+    applyPatch: function(patch, options) {
+        options = options || {};
+        var layer = patch != null && patch.layer != null ? this.layers.get(patch.layer) : this.layers.get(this.activeLayerId);
+        var result = (layer != null ? layer.model : this.model).checkPatch(patch, options.conflicts, this.patchVersions);
+        var applied;
+        if (layer == null) {
+            // unknown layer: every cell is in conflict
+            result.conflicts = patch.cells.map((cell) => ({x: cell.x, y: cell.y, from: cell.from, to: cell.to, value: null, reason: "layer"}));
+            applied = [];
+        } else if (layer.id !== this.activeLayerId) {
+            applied = this._applyLayerCells(layer, result.cells);
+        } else {
+            applied = this._applyPatchCells(result.cells).map((change) => this._getCellPayload(change.x, change.y, change.to, change.from));
+        }
+        // kept even when the cells are skipped or rejected, the next patch of the source follows this one
+        this.model.receivePatchVersion(patch, this.patchVersions);
+        return {applied: applied, conflicts: result.conflicts};
+    },
+
+    /**
+     * Get the version of the data (number of committed edits of this instance, also in the emitted patches)
+     * @returns {number}
+     */
+    getVersion: function() {
+        return this.version;
+    },
+
+    /**
+     * Get matrix data
+     * @returns {number[][]} the matrix values (real units)
+     */
+    getData: function() {
+        return this.model.getData();
+    },
+
+    /**
+     * Get the data model (the model can be shared with other components, but it must only be changed through the chart API)
+     * @returns {MatrixHeightMapModel} the data model
+     */
+    getModel: function(layerId) {
+        return layerId != null ? this._getLayer(layerId).model : this.model;
+    },
+
+    /**
+     * Add a surface layer, drawn in the same axis (only the active layer can be edited)
+     * @param {string} id the id of the layer
+     * @param {object} options {
+     *  data: number[][], // the data of the layer (same dimensions as the matrix, 'min' in every cell if not provided)
+     *  min: number, // min value of the layer (default the min of the active layer)
+     *  max: number, // max value of the layer (default the max of the active layer)
+     *  unit: string, // unit of the values (optional)
+     *  colorScale: string | string[] | function | object, // color scale of the layer (same format as the 'colorScale' param)
+     *  opacity: number, // opacity of the surface in [0, 1] (default 1)
+     *  visible: boolean // (default true)
+     * }
+     */
+    addLayer: function(id, options) {
+        options = options || {};
+        if (typeof(id) !== "string" || id === "") {
+            throw new Error("MatrixHeightMap: the layer id must be a non-empty string");
+        }
+        if (this.layers.has(id)) {
+            throw new Error(`MatrixHeightMap: the layer "${id}" already exists`);
+        }
+
+        var model = new MatrixHeightMapModel({
+            min: options.min != null ? options.min : this.minZ,
+            max: options.max != null ? options.max : this.maxZ,
+            unit: options.unit,
+            axis: this._getLayerAxis(),
+            data: options.data
+        });
+        var layer = this._createLayer(id, model, this._createColorScale(options.colorScale, model), options);
+        this.layers.set(id, layer);
+        if (this.objectGeometry != null) {
+            this._createLayerSurface(layer);
+        }
+    },
+
+    /**
+     * Remove a layer (if it is the active layer, the first remaining layer is activated)
+     * @param {string} id the id of the layer
+     */
+    removeLayer: function(id) {
+        var layer = this._getLayer(id);
+        if (this.layers.size === 1) {
+            throw new Error("MatrixHeightMap: the last layer can't be removed");
+        }
+        if (id === this.activeLayerId) {
+            this.setActiveLayer(Array.from(this.layers.keys()).find((key) => key !== id));
+        }
+        if (layer.object != null) {
+            this.scene.remove(layer.object);
+            this._disposeObject(layer.object);
+            this._requestRender();
+        }
+        this.layers.delete(id);
+    },
+
+    /**
+     * Set the active layer: its surface has the pivots and is the one edited, its range is shown on the axis
+     * and the legend, and it has its own edit history
+     * @param {string} id the id of the layer
+     */
+    setActiveLayer: function(id) {
+        var layer = this._getLayer(id);
+        if (id === this.activeLayerId) {
+            return;
+        }
+
+        // finish the edits of the current layer
+        this._closeCellEditor(false);
+        this._cancelPointerGesture();
+        if (this.sectionDrag != null) {
+            this.sectionDrag = null;
+            this._endDrag();
+            this._commitEdit();
+        }
+
+        var current = this.layers.get(this.activeLayerId);
+        current.colorScale = this.colorScale;
+        current.undoStack = this.undoStack;
+        current.redoStack = this.redoStack;
+
+        this.activeLayerId = id;
+        this.model = layer.model;
+        this.colorScale = layer.colorScale;
+        this.undoStack = layer.undoStack;
+        this.redoStack = layer.redoStack;
+        if (this.diffOptions != null) {
+            if (this.model.reference != null) {
+                this._computeDiffRange();
+            } else {
+                this.diffOptions = null;
+            }
+        }
+
+        this._initMatrix();
+        this._computeChart();
+        this._updateLegend();
+        this._notifyHistoryChange();
+        this._emit("layerchange", {cells: []});
+    },
+
+    /**
+     * Get the id of the active layer
+     * @returns {string}
+     */
+    getActiveLayer: function() {
+        return this.activeLayerId;
+    },
+
+    /**
+     * Get the layers
+     * @returns {object[]} {id, active, visible, opacity, min, max} of each layer
+     */
+    getLayers: function() {
+        return Array.from(this.layers.values()).map((layer) => ({
+            id: layer.id,
+            active: layer.id === this.activeLayerId,
+            visible: layer.visible,
+            opacity: layer.opacity,
+            min: layer.model.minZ,
+            max: layer.model.maxZ
+        }));
+    },
+
+    /**
+     * Show/hide a layer (the pivots of a hidden active layer are hidden too)
+     * @param {string} id the id of the layer
+     * @param {boolean} visible
+     */
+    setLayerVisible: function(id, visible) {
+        var layer = this._getLayer(id);
+        layer.visible = visible !== false;
+        this._updateLayerStyle(layer);
+    },
+
+    /**
+     * Set the opacity of a layer
+     * @param {string} id the id of the layer
+     * @param {number} opacity the opacity in [0, 1]
+     */
+    setLayerOpacity: function(id, opacity) {
+        var layer = this._getLayer(id);
+        layer.opacity = this._createLayer(id, null, null, {opacity: opacity}).opacity;
+        this._updateLayerStyle(layer);
+    },
+
+    /**
+     * Export matrix data
+     * @param {"csv" | "tsv" | "json"} format the export format (default "csv")
+     * - csv/tsv: the first row holds the x axis names and the first column the y axis names
+     * - json: document with the axis definition, min/max, unit and data
+     * @returns {string} the exported document
+     */
+    exportData: function(format) {
+        return this.model.exportData(format);
+    },
+
+    /**
+     * Render the current view to an image, at any size (independent of the size of the container). The HTML
+     * overlays (legend, tooltip, ...) are not part of the image
+     * @param {object} options {
+     *  width: number, // width in pixels (default the size of the canvas)
+     *  height: number, // height in pixels (default the size of the canvas)
+     *  background: number | string, // background color (default the chart background)
+     *  type: string, // image mime type (default "image/png")
+     *  quality: number, // quality of lossy types in [0, 1] (optional)
+     *  output: "blob" | "dataURL" // (default "blob")
+     * }
+     * @returns {Promise<Blob | string>} the image
+     */
+    toImage: function(options) {
+        options = options || {};
+        var size = this.renderer.getSize(new THREE.Vector2());
+        var width = options.width != null ? options.width : size.x;
+        var height = options.height != null ? options.height : size.y;
+        if (!Number.isInteger(width) || !Number.isInteger(height) || width <= 0 || height <= 0) {
+            throw new RangeError(`MatrixHeightMap: invalid image size ${width}x${height}`);
+        }
+        var type = options.type || "image/png";
+        var canvas = this.renderer.domElement;
+        var pixelRatio = this.renderer.getPixelRatio();
+        var clearColor = new THREE.Color().copy(this.renderer.getClearColor(new THREE.Color()));
+
+        // render in the canvas at the image size (the css size is kept) and restore it before the next paint
+        this._updateMarkers();
+        this._flushGeometryUpdates();
+        this.renderer.setPixelRatio(1);
+        this.renderer.setSize(width, height, false);
+        this._setCameraAspect(width / height);
+        if (options.background != null) {
+            this.renderer.setClearColor(options.background);
+        }
+        var context = this.renderer.getContext();
+        var fits = context.drawingBufferWidth === width && context.drawingBufferHeight === height;
+        var image = null;
+        if (fits) {
+            this.renderer.render(this.scene, this.camera);
+            // toBlob copies the canvas synchronously
+            image = options.output === "dataURL" ? Promise.resolve(canvas.toDataURL(type, options.quality))
+                : new Promise((resolve) => canvas.toBlob(resolve, type, options.quality));
+        }
+
+        this.renderer.setClearColor(clearColor);
+        this.renderer.setPixelRatio(pixelRatio);
+        this.renderer.setSize(size.x, size.y, false);
+        this._setCameraAspect(size.x / size.y);
+        this.renderer.render(this.scene, this.camera);
+
+        if (!fits) {
+            throw new RangeError(`MatrixHeightMap: the image size ${width}x${height} exceeds the max size of the renderer`);
+        }
+        return image;
+    },
+
+    /**
+     * Export the rendered surface as a 3D mesh file
+     * @param {"obj" | "stl" | "gltf"} format OBJ (with vertex colors), ASCII STL (no colors) or glTF 2.0 (embedded buffer, vertex colors)
+     * @param {object} options {
+     *  axisPlanes: boolean // also export the floor and the back walls of the chart (default false)
+     * }
+     * @returns {string} the file content
+     */
+    exportMesh: function(format, options) {
+        options = options || {};
+        return MatrixHeightMapMesh.export(format, this._getMeshParts(options.axisPlanes === true));
+    },
+
+    /**
+     * Import matrix data (the whole import is a single undo step). An import that changes the axis is a change of the
+     * matrix structure: it clears the edit history, like a resize. Malformed documents throw an Error listing the
+     * problems found (also available as 'error.errors')
+     * @param {string} text the document to import
+     * @param {"csv" | "tsv" | "json"} format the document format (default "csv")
+     * @param {object} options {
+     *  headers: boolean | "auto" // csv/tsv: if the first row/column hold the axis names (default "auto"). With headers the axis are
+     *                            // set from the document, without headers the dimensions must match the current matrix
+     * }
+     */
+    importData: function(text, format, options) {
+        var parsed = this.model.parseData(text, format, options);
+        var resized = false;
+        var axisChanged = false;
+        if (parsed.axis != null) {
+            this.model.validateData(parsed.data, parsed.axis.x.length, parsed.axis.y.length);
+            var previousAxis = JSON.stringify(this._getLayerAxis());
+            resized = this.model.setAxis(parsed.axis);
+            axisChanged = JSON.stringify(this._getLayerAxis()) !== previousAxis;
+        } else {
+            this.model.validateData(parsed.data);
+        }
+
+        var min = parsed.min != null ? parsed.min : this.minZ;
+        var max = parsed.max != null ? parsed.max : this.maxZ;
+        if (axisChanged) {
+            var layerAxis = this._getLayerAxis();
+            this._updateInactiveLayers((model) => model.setAxis(layerAxis));
+            this._setRange(min, max);
+        } else if (min !== this.minZ || max !== this.maxZ) {
+            // the range change is part of the undo step of the data
+            this._beginEdit();
+            this._recordRange(min, max);
+            this._setRange(min, max);
+        }
+        if (parsed.unit !== undefined) {
+            this.model.unit = parsed.unit;
+        }
+        if (!axisChanged) {
+            this.setData(parsed.data);
+            return;
+        }
+
+        this.model.setData(parsed.data);
+        if (resized) {
+            this._onMatrixResized();
+        } else {
+            this.clearHistory();
+            this._initMatrix();
+            this._computeChart();
+            this._emitDataChange([]);
+        }
+    },
+
+    /**
+     * Insert a column
+     * @param {number} index the index of the new column (if not provided the column is added at the end)
+     * @param {string | number} name the name of the column (the breakpoint value on numeric axis)
+     * @param {number[]} values the values of the column cells (one per row, '0' if not provided, null or NaN for no data)
+     */
+    insertColumn: function(index, name, values) {
+        index = index != null ? index : this.mX;
+        this.model.insertColumn(index, name, values);
+        this._updateInactiveLayers((model) => model.insertColumn(index, this.XAxisNames[index]));
+        this._onMatrixResized();
+    },
+
+    /**
+     * Remove a column
+     * @param {number} index the index of the column
+     */
+    removeColumn: function(index) {
+        this.model.removeColumn(index);
+        this._updateInactiveLayers((model) => model.removeColumn(index));
+        this._onMatrixResized();
+    },
+
+    /**
+     * Insert a row
+     * @param {number} index the index of the new row (if not provided the row is added at the end)
+     * @param {string | number} name the name of the row (the breakpoint value on numeric axis)
+     * @param {number[]} values the values of the row cells (one per column, '0' if not provided, null or NaN for no data)
+     */
+    insertRow: function(index, name, values) {
+        index = index != null ? index : this.mY;
+        this.model.insertRow(index, name, values);
+        this._updateInactiveLayers((model) => model.insertRow(index, this.YAxisNames[index]));
+        this._onMatrixResized();
+    },
+
+    /**
+     * Remove a row
+     * @param {number} index the index of the row
+     */
+    removeRow: function(index) {
+        this.model.removeRow(index);
+        this._updateInactiveLayers((model) => model.removeRow(index));
+        this._onMatrixResized();
+    },
+
+    /**
+     * Set axis names. If the number of names changes, columns/rows are added or removed at the end
+     * of the matrix (the values of the remaining cells are kept in place)
+     * @param {object} axis the new axis definition (same format as the 'axis' param, any of the axis/options can be omitted)
+     */
+    setAxis: function(axis) {
+        var resized = this.model.setAxis(axis);
+        var layerAxis = this._getLayerAxis();
+        this._updateInactiveLayers((model) => model.setAxis(layerAxis));
+        if (resized) {
+            this._onMatrixResized();
+        } else {
+            // breakpoints may have moved
+            this._computeChart();
+            this._emitDataChange([]);
+        }
+    },
+
+    /**
+     * Lock/unlock cells, rows or columns against editing (locked pivots are always shown, in gray).
+     * Edits of locked cells are rejected and reported by the constraint event
+     * @param {{x: number, y: number} | {x: number, y: number}[] | {row: number} | {column: number}} target the cell(s), row or column
+     * @param {boolean} locked if the target is locked (default true)
+     */
+    setLocked: function(target, locked) {
+        this.model.setLocked(target, locked);
+        this.tableDirty = true;
+        this._requestRender();
+    },
+
+    /**
+     * Check if a cell is locked (by itself or by its row/column)
+     * @param {number} x the x coordinate of the matrix (horizontal)
+     * @param {number} y the y coordinate of the matrix (vertical)
+     * @returns {boolean} true if the cell can't be edited
+     */
+    isLocked: function(x, y) {
+        return this._isValidCell(x, y) && this.model.isLocked(x, y);
+    },
+
+    /**
+     * Get the locks
+     * @returns {{cells: {x: number, y: number}[], rows: number[], columns: number[]}} the locked cells, rows and columns
+     */
+    getLocks: function() {
+        return this.model.getLocks();
+    },
+
+    /**
+     * Remove all the locks
+     */
+    clearLocks: function() {
+        this.model.clearLocks();
+        this.tableDirty = true;
+        this._requestRender();
+    },
+
+    /**
+     * Set the editing constraints (same format as the 'constraints' param, any of the constraints can be omitted to keep it,
+     * or set to null to remove it). Only the following edits are constrained, the current values are not changed
+     * @param {object} constraints the constraints
+     */
+    setConstraints: function(constraints) {
+        this.model.setConstraints(constraints);
+    },
+
+    /**
+     * Get the editing constraints
+     * @returns {{step: number, monotonic: string, maxGradient: number}} the constraints (null when not set)
+     */
+    getConstraints: function() {
+        return this.model.getConstraints();
+    },
+
+    /**
+     * Get the interpolated value at fractional coordinates (useful to use the matrix as a lookup table)
+     * @param {number} x the x coordinate: fractional column index or, on numeric axis, the axis value
+     * @param {number} y the y coordinate: fractional row index or, on numeric axis, the axis value
+     * @param {object} options {
+     *  mode: "bilinear" | "bicubic", // interpolation mode (default "bilinear")
+     *  edges: "clamp" | "extrapolate", // what to do with coordinates outside the matrix (default "clamp")
+     *  coordinates: "index" | "axis" // coordinates space (default "axis" on numeric axis, "index" otherwise)
+     * }
+     * @returns {number} the interpolated value
+     */
+    getInterpolatedValue: function(x, y, options) {
+        return this.model.getInterpolatedValue(x, y, options);
+    },
+
+    /**
+     * Place a marker (e.g. the current operating point) on the surface, at the interpolated height. The marker keeps
+     * a fading trail of its recent positions and every update counts a visit of the nearest cell (see 'setHitMap').
+     * The updates only move the marker (the chart is not rebuilt), so they can come at any rate
+     * @param {string} id the id of the marker (created on the first call)
+     * @param {{x: number, y: number}} position fractional cell indices or, on numeric axis, the axis values
+     * @param {object} options {
+     *  coordinates: "index" | "axis", // coordinates space (default "axis" on numeric axis, "index" otherwise)
+     *  color: string | number, // color of the marker (default yellow, used when the marker is created)
+     *  trail: number // number of positions kept in the trail (default 100, 0 disables it, used when the marker is created)
+     * }
+     */
+    setMarker: function(id, position, options) {
+        options = options || {};
+        var coordinates = this._getMarkerCoordinates(position, options.coordinates);
+        var marker = this.markers.get(id);
+        if (marker == null) {
+            marker = this._createMarker(id, options);
+            this.markers.set(id, marker);
+        }
+
+        marker.x = coordinates.x;
+        marker.y = coordinates.y;
+        if (marker.trailLength > 1) {
+            marker.positions.unshift(coordinates);
+            if (marker.positions.length > marker.trailLength) {
+                marker.positions.pop();
+            }
+        }
+        marker.dirty = true;
+        this._countHit(coordinates.x, coordinates.y);
+        this._requestRender();
+    },
+
+    /**
+     * Remove a marker (the hit counts are kept)
+     * @param {string} id the id of the marker
+     */
+    removeMarker: function(id) {
+        var marker = this.markers.get(id);
+        if (marker != null) {
+            this.scene.remove(marker.object);
+            this._disposeObject(marker.object);
+            this.markers.delete(id);
+            this._requestRender();
+        }
+    },
+
+    /**
+     * Get the markers
+     * @returns {object[]} {id, x, y, value} of each marker (fractional cell indices and the interpolated value, null over a hole)
+     */
+    getMarkers: function() {
+        return Array.from(this.markers.values()).map((marker) => ({
+            id: marker.id,
+            x: marker.x,
+            y: marker.y,
+            value: this.model.getInterpolatedValue(marker.x, marker.y, {coordinates: "index", mode: this.smoothing === 1 ? "bilinear" : this.smoothingMode})
+        }));
+    },
+
+    /**
+     * Clear the trail of a marker (of every marker if no id is given)
+     * @param {string} id the id of the marker (optional)
+     */
+    clearMarkerTrail: function(id) {
+        for (const marker of this.markers.values()) {
+            if (id == null || marker.id === id) {
+                marker.positions = [];
+                marker.dirty = true;
+            }
+        }
+        this._requestRender();
+    },
+
+    /**
+     * Enable/disable the hit map mode: the cells are tinted by how often the markers visited them
+     * @param {boolean | object} hitMap true, false or the options (same format as the 'hitMap' param)
+     */
+    setHitMap: function(hitMap) {
+        this._setHitMapOptions(hitMap);
+        this._updateVertexColors();
+    },
+
+    /**
+     * Get the number of visits of each cell by the markers
+     * @returns {number[][]} the counts, row by row
+     */
+    getHitCounts: function() {
+        return this.hitCounts.map((row) => row.slice());
+    },
+
+    /**
+     * Reset the hit counts of the cells
+     */
+    resetHitCounts: function() {
+        this._resetHitCounts();
+        this._updateVertexColors();
+    },
+
+    /**
+     * Set surface smoothing (rendering only, the pivots stay on the real data points)
+     * @param {number} subdivisions number of subdivisions of each cell (1 for flat facets)
+     * @param {"bilinear" | "bicubic"} mode interpolation used to render the subdivided surface
+     */
+    setSmoothing: function(subdivisions, mode) {
+        this._setSmoothingOptions(subdivisions, mode);
+        this._computeChart();
+    },
+
+    /**
+     * Set color scale (recolors the chart without rebuilding it)
+     * @param {string | string[] | function | object} colorScale the color scale (same format as the 'colorScale' param)
+     */
+    setColorScale: function(colorScale) {
+        this.colorScale = this._createColorScale(colorScale);
+        this._updateColors();
+    },
+
+    /**
+     * Set the reference (baseline) data, drawn as a ghost surface in the same axes
+     * @param {number[][]} data the reference data (same dimensions as the matrix, null to remove the reference and the diff mode)
+     * @param {object} style the style of the reference surface (same format as the 'referenceStyle' param, optional)
+     */
+    setReference: function(data, style) {
+        if (style != null) {
+            this._setReferenceOptions(style);
+        }
+        this.model.setReference(data);
+        if (this.model.reference == null) {
+            this.diffOptions = null;
+        } else if (this.diffOptions != null) {
+            this._computeDiffRange();
+        }
+        this._computeReferenceSurface();
+        this._updateColors();
+        this.tooltipText = null;
+    },
+
+    /**
+     * Get the reference data
+     * @returns {number[][]} the reference data or null if there is no reference
+     */
+    getReference: function() {
+        return this.model.getReference();
+    },
+
+    /**
+     * Color the surface by the delta from the reference (diverging color scale) instead of the value
+     * @param {boolean | object} diffMode true/false or the diff options (same format as the 'diffMode' param)
+     */
+    setDiffMode: function(diffMode) {
+        if (diffMode) {
+            this._setDiffOptions(diffMode);
+        } else {
+            this.diffOptions = null;
+        }
+        this._updateColors();
+    },
+
+    /**
+     * Compare the data with the reference
+     * @returns {object} {data: number[][] (value - reference of every cell), cells: {x, y, value, reference, delta}[] (the cells that differ)}
+     */
+    getDiff: function() {
+        return this.model.getDiff();
+    },
 
-        mesh.rotation.x = rotation.x;
-        mesh.rotation.y = rotation.y;
-        mesh.rotation.z = rotation.z;
+    /**
+     * Show/hide color legend
+     * @param {boolean} visible
+     */
+    setLegendVisible: function(visible) {
+        if (visible && this.legendElement == null) {
+            this._createLegend();
+        } else if (this.legendElement != null) {
+            this.legendElement.style.display = visible ? "" : "none";
+        }
+    },
 
-        return mesh;
+    /**
+     * Show/hide the tooltip that follows the hovered/dragged pivot
+     * @param {boolean | object} tooltip false to hide it, true or the tooltip options (same format as the 'tooltip' param)
+     */
+    setTooltip: function(tooltip) {
+        if (tooltip == null || tooltip === false) {
+            this.tooltipOptions = null;
+            this.tooltipText = null;
+            if (this.tooltipElement != null) {
+                this.tooltipElement.style.display = "none";
+            }
+            this._removeCrosshair();
+            return;
+        }
+
+        tooltip = tooltip === true ? {} : tooltip;
+        if (tooltip.formatter != null && typeof(tooltip.formatter) !== "function") {
+            throw new Error("MatrixHeightMap: the tooltip formatter must be a function");
+        }
+        this.tooltipOptions = {
+            formatter: tooltip.formatter || null,
+            crosshair: tooltip.crosshair === true
+        };
+        if (this.tooltipElement == null) {
+            this._createTooltip();
+        }
+        this.tooltipText = null;
+        this._requestRender();
+        if (this.tooltipOptions.crosshair) {
+            this._createCrosshair();
+        } else {
+            this._removeCrosshair();
+        }
     },
 
     /**
-     * Update vertex colors of chart
+     * Show/hide the table view of the values (edits, selection and hover are linked with the chart)
+     * @param {boolean | object} table true/false or the table options (same format as the 'table' param)
      */
-    _updateVertexColors: function() {
-        var coords;
-        for (const face of this.objectGeometry.faces) {
-            face.vertexColors = [];
-            coords = this._getCoordinatesFromIndex(face.a);
-            face.vertexColors.push(new THREE.Color(this.matrix[coords.y][coords.x].color));
+    setTable: function(table) {
+        this._removeTable();
+        if (table == null || table === false) {
+            this.tableOptions = null;
+            return;
+        }
 
-            coords = this._getCoordinatesFromIndex(face.b);
-            face.vertexColors.push(new THREE.Color(this.matrix[coords.y][coords.x].color));
+        table = table === true ? {} : table;
+        var container = typeof(table.container) === "string" ? document.querySelector(table.container) : table.container;
+        if (table.container != null && container == null) {
+            throw new Error(`MatrixHeightMap: table container "${table.container}" not found`);
+        }
+        this.tableOptions = {container: container || null};
+        this._createTable();
+        this._buildTable();
+        this._requestRender();
+    },
 
-            coords = this._getCoordinatesFromIndex(face.c);
-            face.vertexColors.push(new THREE.Color(this.matrix[coords.y][coords.x].color));
+    /**
+     * Show the cross-section of a row/column: the slice is highlighted on the surface and drawn as a 2D curve
+     * in a panel (css class 'matrix-hm-section'). The points of the curve can be dragged up/down like the pivots
+     * @param {{row: number} | {column: number}} section the row or the column
+     * @param {object} options {
+     *  container: string | HTMLElement // element (or selector) the panel is added to (optional, default over the bottom-left corner of the chart)
+     * }
+     */
+    showSection: function(section, options) {
+        options = options || {};
+        var isRow = section != null && section.row != null;
+        var index = section != null ? (isRow ? section.row : section.column) : null;
+        var length = isRow ? this.mY : this.mX;
+        if (index == null) {
+            throw new Error("MatrixHeightMap: the section must be a row or a column");
+        }
+        if (!Number.isInteger(index) || index < 0 || index >= length) {
+            throw new RangeError(`MatrixHeightMap: ${isRow ? "row" : "column"} ${index} is out of range [0, ${length - 1}]`);
         }
-        this.objectGeometry.colorsNeedUpdate = true;
-        this.objectGeometry.elementsNeedUpdate = true;
+        var container = typeof(options.container) === "string" ? document.querySelector(options.container) : options.container;
+        if (options.container != null && container == null) {
+            throw new Error(`MatrixHeightMap: section container "${options.container}" not found`);
+        }
+
+        this.hideSection();
+        this.sectionOptions = {row: isRow ? index : null, column: isRow ? null : index, container: container || null};
+        this._createSectionPanel();
+        this._createSectionLine();
     },
 
     /**
-     * Highlight vertex
+     * Hide the cross-section
      */
-    _highlightVertex: function() {
-        if (this.tableSelectedCells != null && this.tableSelectedCells.length > 0) {
-            this.highlightedPivot.position.x = ((this.tableSelectedCells[0][1] / (MATRIX_X - 1)) * this.chartSizeX) - (this.chartSizeX * 0.5);
-            this.highlightedPivot.position.z = ((this.tableSelectedCells[0][0] / (MATRIX_Y - 1)) * this.chartSizeY) - (this.chartSizeY * 0.5);
-            this.highlightedPivot.position.y = this.vertexPivots[this.tableSelectedCells[0][0]][this.tableSelectedCells[0][1]].position.y;
-            this.highlightedPivot.material.opacity = 0.75;
-        } else {
-            this.highlightedPivot.material.opacity = 0;
-            this.highlightedPivot.position.x = 0;
-            this.highlightedPivot.position.z = 0;
+    hideSection: function() {
+        this._removeSection();
+        this.sectionOptions = null;
+    },
+
+    /**
+     * Get the row/column of the shown cross-section
+     * @returns {{row: number} | {column: number}} the section or null if no section is shown
+     */
+    getSection: function() {
+        if (this.sectionOptions == null) {
+            return null;
         }
+        return this.sectionOptions.row != null ? {row: this.sectionOptions.row} : {column: this.sectionOptions.column};
     },
 
-    //#endregion
+    /**
+     * Get selected cells
+     * @returns {{x: number, y: number}[]} the selected cells
+     */
+    getSelection: function() {
+        var cells = [];
+        for (const index of this.selection) {
+            cells.push(this._getCoordinatesFromIndex(index));
+        }
+        return cells.sort((a, b) => (a.y - b.y) || (a.x - b.x));
+    },
 
-    //#region API
+    /**
+     * Set selected cells
+     * @param {{x: number, y: number}[]} cells the cells to select (cells outside the matrix are ignored)
+     */
+    setSelection: function(cells) {
+        this.selection.clear();
+        this.focusedCell = null;
+        if (cells != null) {
+            for (const cell of cells) {
+                if (this._isValidCell(cell.x, cell.y)) {
+                    this.selection.add(this._getIndexFromCoordinates(cell.x, cell.y));
+                    if (this.focusedCell == null) {
+                        this.focusedCell = {x: cell.x, y: cell.y};
+                    }
+                }
+            }
+        }
+        this._onSelectionChanged();
+    },
 
     /**
-     * Set matrix data
-     * @param {number[][]} matrixData the matrix data (number of columns and rows must correspond to initial defined matrix dimensions)
+     * Clear selection
      */
-    setData(matrixData) {
-        // init matrix
-        this._initMatrix(matrixData);
-        // compute chart
-        this.chartSizeX = this.MATRIX_SIZE;
-        this.chartSizeY = this.MATRIX_SIZE;
-        this.chartSizeXHalf = this.chartSizeX * 0.5;
-        this.chartSizeYHalf = this.chartSizeY * 0.5;
-        this._computeChart();
+    clearSelection: function() {
+        this.setSelection(null);
     },
 
     /**
-     * Set Matrix value
-     * @param {number} x the x coordinate of the matrix (horizontal)
-     * @param {number} y the y coordinate of the matrix (vertical)
-     * @param {number} value the value to set
+     * Set how dragging a pivot moves the rest of the selection
+     * @param {"absolute" | "relative" | "proportional"} mode the edit mode
+     * - absolute: every selected cell is set to the dragged pivot value
+     * - relative: every selected cell is moved by the same amount as the dragged pivot
+     * - proportional: every selected cell is scaled by the same ratio as the dragged pivot
      */
-    setValue: function(x, y, value) {
-        this._setValue(x, y, this._convertValueFromMatrix(value));
-        this._updateVertexColors();
+    setEditMode: function(mode) {
+        this.editMode = mode;
+    },
+
+    /**
+     * Set the soft brush radius
+     * @param {number} radius the radius in cells (0 to only move the selected cells)
+     */
+    setBrushRadius: function(radius) {
+        this.brushRadius = radius > 0 ? radius : 0;
+    },
+
+    /**
+     * Undo the last edit
+     * @returns {boolean} true if an edit was undone
+     */
+    undo: function() {
+        this._commitEdit();
+        if (!this.canUndo()) {
+            return false;
+        }
+        var entry = this.undoStack.pop();
+        this._applyHistoryEntry(entry, true);
+        this.redoStack.push(entry);
+        this._notifyHistoryChange();
+        return true;
+    },
+
+    /**
+     * Redo the last undone edit (an edit in progress, e.g. a drag, is committed first and clears the redo history)
+     * @returns {boolean} true if an edit was redone
+     */
+    redo: function() {
+        this._commitEdit();
+        if (!this.canRedo()) {
+            return false;
+        }
+        var entry = this.redoStack.pop();
+        this._applyHistoryEntry(entry, false);
+        this.undoStack.push(entry);
+        this._notifyHistoryChange();
+        return true;
+    },
+
+    /**
+     * Check if there is any edit to undo
+     * @returns {boolean}
+     */
+    canUndo: function() {
+        return this.undoStack.length > 0;
+    },
+
+    /**
+     * Check if there is any edit to redo
+     * @returns {boolean}
+     */
+    canRedo: function() {
+        return this.redoStack.length > 0;
+    },
+
+    /**
+     * Clear the edit history
+     */
+    clearHistory: function() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.pendingEdit = null;
+        this.pendingRange = null;
+        this._notifyHistoryChange();
     },
 
     /**
      * Reset view
      */
     resetView: function() {
-        this.cameraControls.reset();
+        this.setView("iso", {animate: false});
+    },
+
+    /**
+     * Move the camera to a view preset. The top view uses an orthographic camera (the map reads like a 2D heatmap,
+     * the pivots can still be edited by dragging them up/down)
+     * @param {"iso" | "top" | "front" | "side"} view the view preset
+     * @param {object} options {
+     *  animate: boolean, // animated transition (default true)
+     *  duration: number // duration of the transition in ms (default 500)
+     * }
+     */
+    setView: function(view, options) {
+        var preset = this._getViewPreset(view);
+        this._moveCamera(preset.position, preset.target, preset.orthographic, null, options);
     },
 
     /**
-     * Resize
+     * Get the camera state (can be serialized as JSON and restored with 'setCameraState')
+     * @returns {object} {projection: "perspective" | "orthographic", position: {x, y, z}, target: {x, y, z}, zoom: number}
+     */
+    getCameraState: function() {
+        var position = this.camera.position;
+        var target = this.cameraControls.target;
+        return {
+            projection: this.camera === this.orthographicCamera ? "orthographic" : "perspective",
+            position: {x: position.x, y: position.y, z: position.z},
+            target: {x: target.x, y: target.y, z: target.z},
+            zoom: this.camera.zoom
+        };
+    },
+
+    /**
+     * Restore a camera state
+     * @param {object} state the camera state (from 'getCameraState')
+     * @param {object} options the transition options (same as 'setView', not animated by default)
+     */
+    setCameraState: function(state, options) {
+        var toVector = (vector, name) => {
+            if (vector == null || ![vector.x, vector.y, vector.z].every((value) => typeof(value) === "number" && Number.isFinite(value))) {
+                throw new Error(`MatrixHeightMap: invalid camera ${name}`);
+            }
+            return new THREE.Vector3(vector.x, vector.y, vector.z);
+        };
+        if (state == null || (state.projection !== "perspective" && state.projection !== "orthographic")) {
+            throw new Error(`MatrixHeightMap: invalid camera projection "${state != null ? state.projection : state}"`);
+        }
+        var position = toVector(state.position, "position");
+        var target = toVector(state.target, "target");
+        if (position.equals(target)) {
+            throw new Error("MatrixHeightMap: invalid camera position (same as the target)");
+        }
+
+        var height = null;
+        if (state.projection === "orthographic") {
+            var zoom = state.zoom != null ? state.zoom : 1;
+            if (typeof(zoom) !== "number" || !(zoom > 0)) {
+                throw new Error(`MatrixHeightMap: invalid camera zoom ${zoom}`);
+            }
+            height = (this.orthographicCamera.top - this.orthographicCamera.bottom) / zoom;
+        }
+        this._moveCamera(position, target, state.projection === "orthographic", height, Object.assign({animate: false}, options));
+    },
+
+    /**
+     * Resize (called automatically when the container is resized, on browsers with ResizeObserver)
      */
     resize: function() {
         var dims = this.canvasContainer.getBoundingClientRect();
-        this.camera.aspect = dims.width / dims.height;
-        this.camera.updateProjectionMatrix();
+        if (this.disposed || dims.width === 0 || dims.height === 0) {
+            // hidden container (e.g. inactive tab)
+            return;
+        }
+        this._setCameraAspect(dims.width / dims.height);
         this.renderer.setSize( dims.width, dims.height );
+        this._requestRender();
     },
 
     /**
-     * Dispose
+     * Dispose (stops rendering and releases the renderer, the scene resources, the controls and the
+     * elements added to the container, the instance can't be used anymore)
      */
     dispose: function() {
-        window.removeEventListener( 'mousemove', this._onMouseMove, false );
-        window.removeEventListener( 'mousedown', this._onMouseDown, false );
-        window.removeEventListener( 'mouseup', this._onMouseUp, false );
-        window.removeEventListener( 'keydown', this._onKeyDown, false );
-        window.removeEventListener( 'keyup', this._onKeyUp, false );
+        if (this.disposed) {
+            return;
+        }
+        this.disposed = true;
+        if (this.animationFrame != null) {
+            cancelAnimationFrame(this.animationFrame);
+            this.animationFrame = null;
+        }
+        if (this.resizeObserver != null) {
+            this.resizeObserver.disconnect();
+            this.resizeObserver = null;
+        }
+
+        this.renderer.domElement.removeEventListener( 'pointermove', this._onPointerMove, false );
+        this.renderer.domElement.removeEventListener( 'pointerdown', this._onPointerDown, false );
+        this.canvasContainer.ownerDocument.removeEventListener( 'pointerup', this._onPointerUp, false );
+        this.canvasContainer.ownerDocument.removeEventListener( 'pointercancel', this._onPointerUp, false );
+        this.renderer.domElement.removeEventListener( 'lostpointercapture', this._onPointerUp, false );
+        this.renderer.domElement.removeEventListener( 'pointerleave', this._onPointerLeave, false );
+        this.renderer.domElement.removeEventListener( 'keydown', this._onKeyDown, false );
+        this.renderer.domElement.removeEventListener( 'keyup', this._onKeyUp, false );
+        this.renderer.domElement.removeEventListener( 'blur', this._onBlur, false );
+        this.renderer.domElement.removeEventListener( 'copy', this._onCopy, false );
+        this.renderer.domElement.removeEventListener( 'paste', this._onPaste, false );
+        this.cameraControls.removeEventListener('change', this._onCameraChange);
+        this.cameraControls.removeEventListener('start', this._onCameraStart);
+        this.cameraTransition = null;
+        this.cameraControls.dispose();
+        this._cancelLongPress();
+        this._closeCellEditor(false);
+        this._removeTable();
+        this._removeSection();
+        this.off();
+
+        // scene resources
+        this._disposeObject(this.scene);
+        this.scene.remove(...this.scene.children);
+        this.renderer.dispose();
+        this.renderer.forceContextLoss();
+
+        // elements added to the container
+        for (const element of [this.renderer.domElement, this.legendElement, this.tooltipElement, this.selectionOverlay]) {
+            if (element != null && element.parentNode != null) {
+                element.parentNode.removeChild(element);
+            }
+        }
+
+        this.scene = null;
+        this.renderer = null;
+        this.cameraControls = null;
+        this.object = null;
+        this.objectGeometry = null;
+        this.surfaceMesh = null;
+        this.pivotsObject = null;
+        this.highlightedPivot = null;
+        this.referenceObject = null;
+        this.sectionLine = null;
+        this.gridLines = null;
+        this.crosshairObject = null;
+        this.legendElement = null;
+        this.tooltipElement = null;
+        this.selectionOverlay = null;
     },
 
     //#endregion
@@ -560,82 +4723,360 @@ MatrixHeightMap.prototype = {
      * Animate
      */
     _animate: function() {
-        // calculate objects intersecting the picking ray
-        if (!this.mouseDown && this.vertexPivotsSelection != null && this.vertexPivotsSelection.length > 0) {
-            // update the picking ray with the camera and mouse position
-            this.raycaster.setFromCamera(this.mouse, this.camera );
-        
-            var intersects = this.raycaster.intersectObjects( this.vertexPivotsSelection );
+        this._updateCameraTransition();
+
+        // the changes done while rendering are part of this frame (no new frame is requested)
+        if (!this.pointerDown) {
+            this._pickPivot();
+        }
+
+        this._updatePivotsStyle();
+        this._updateTooltip();
+        this._updateTable();
+        this._updateSection();
+        this._updateMarkers();
+        this._flushGeometryUpdates();
+
+        this.renderer.render(this.scene, this.camera);
+        this.animationFrame = null;
+        if (this.cameraTransition != null) {
+            this._requestRender();
+        }
+    },
+
+    /**
+     * Request a new frame (rendered once on the next animation frame, whatever the number of requests)
+     */
+    _requestRender: function() {
+        if (this.animationFrame == null && !this.disposed && this.renderer != null) {
+            this.animationFrame = requestAnimationFrame(this.animateFunction);
+        }
+    },
+
+    /**
+     * Get the positions of the pivots in normalized device coordinates (x, y, z of each pivot, row by row)
+     */
+    _getPivotScreenPositions: function() {
+        var viewProjection = this.tmpMatrix.multiplyMatrices(this.camera.projectionMatrix, this.camera.matrixWorldInverse);
+        if (this.pivotScreenPositions != null && !this.pivotScreenDirty && viewProjection.equals(this.pivotScreenProjection)) {
+            return this.pivotScreenPositions;
+        }
 
-            for (const pivot of this.vertexPivotsObject.children) {
-                pivot.material.opacity = 0;
+        if (this.pivotScreenPositions == null || this.pivotScreenPositions.length !== this.mX * this.mY * 3) {
+            this.pivotScreenPositions = new Float32Array(this.mX * this.mY * 3);
+        }
+        var i = 0;
+        for (var y = 0; y < this.mY; y++) {
+            for (var x = 0; x < this.mX; x++, i += 3) {
+                this._getPivotPosition(x, y, this.tmpVector).applyMatrix4(viewProjection);
+                this.pivotScreenPositions[i] = this.tmpVector.x;
+                this.pivotScreenPositions[i + 1] = this.tmpVector.y;
+                this.pivotScreenPositions[i + 2] = this.tmpVector.z;
             }
+        }
+        this.pivotScreenProjection.copy(viewProjection);
+        this.pivotScreenDirty = false;
+        return this.pivotScreenPositions;
+    },
+
+    /**
+     * Pick the pivot under the pointer
+     */
+    _pickPivot: function() {
+        var previousX = this.activePivotX;
+        var previousY = this.activePivotY;
+        this.activePivotX = null;
+        this.activePivotY = null;
 
-            if (intersects != null && intersects.length > 0) {
-                this.activePivotX = intersects[0].object[this.PIVOT_COORDINATE_X];
-                this.activePivotY = intersects[0].object[this.PIVOT_COORDINATE_Y];
-                if (this.activePivotX >= 0 && this.activePivotX < this.mX &&
-                    this.activePivotY >= 0 && this.activePivotY < this.mY) {
-                        this.vertexPivots[this.activePivotY][this.activePivotX].material.opacity = 1;
+        // nearest pivot on screen (the screen positions are cached until the camera or the data change)
+        if (this.pointerInside && this.pivotsObject != null && this.pivotsObject.visible) {
+            var positions = this._getPivotScreenPositions();
+            var width = this.renderer.domElement.clientWidth * 0.5;
+            var height = this.renderer.domElement.clientHeight * 0.5;
+            var nearest = this.PICK_RADIUS * this.PICK_RADIUS;
+            var dx, dy, distance;
+            for (var i = 0; i < positions.length; i += 3) {
+                if (positions[i + 2] > 1 || this.model.values[Math.floor((i / 3) / this.mX)][(i / 3) % this.mX] == null) {
+                    // behind the camera or no data
+                    continue;
+                }
+                dx = (positions[i] - this.mouse.x) * width;
+                dy = (positions[i + 1] - this.mouse.y) * height;
+                distance = (dx * dx) + (dy * dy);
+                if (distance <= nearest) {
+                    nearest = distance;
+                    this.activePivotX = (i / 3) % this.mX;
+                    this.activePivotY = Math.floor((i / 3) / this.mX);
                 }
-            } else {
-                this.activePivotX = null;
-                this.activePivotY = null;
             }
+        } else if (this.linkedHoveredCell != null) {
+            // hovered in the table/section view
+            this.activePivotX = this.linkedHoveredCell.x;
+            this.activePivotY = this.linkedHoveredCell.y;
         }
 
-        this.renderer.render(this.scene, this.camera);
+        if (previousX !== this.activePivotX || previousY !== this.activePivotY) {
+            this._emit("hover", {cells: this._isValidCell(this.activePivotX, this.activePivotY) ? [this._getCellPayload(this.activePivotX, this.activePivotY)] : []});
+        }
+    },
 
-        requestAnimationFrame(this.animateFunction);
+    /**
+     * Update pivots style (hovered, selected and locked pivots are visible, the others are scaled to 0)
+     */
+    _updatePivotsStyle: function() {
+        if (this.pivotsObject == null) {
+            return;
+        }
+        var index = 0;
+        var state;
+        for (var y = 0; y < this.mY; y++) {
+            for (var x = 0; x < this.mX; x++, index++) {
+                if (this.model.values[y][x] == null) {
+                    // no data, no pivot
+                    state = this.PIVOT_HIDDEN;
+                } else if (this.selection.has(index)) {
+                    state = this.PIVOT_SELECTED;
+                } else if (x === this.activePivotX && y === this.activePivotY) {
+                    state = this.PIVOT_HOVERED;
+                } else if (this.model.isLocked(x, y)) {
+                    state = this.PIVOT_LOCKED;
+                } else {
+                    state = this.PIVOT_HIDDEN;
+                }
+                if (state !== this.pivotStates[index]) {
+                    this.pivotStates[index] = state;
+                    this._updatePivot(x, y);
+                }
+            }
+        }
     },
 
     /**
-     * Mouse move
+     * Update the pointer position (normalized device coordinates)
      */
-     _onMouseMoveEvent: function(event) {
-        var dims = this.canvasContainer.getBoundingClientRect();
+    _updatePointerPosition: function(event) {
+        var dims = this.renderer.domElement.getBoundingClientRect();
         this.mouse.x = ( (event.clientX - dims.x) / dims.width ) * 2 - 1;
         this.mouse.y = - ( (event.clientY - dims.y) / dims.height ) * 2 + 1;
-        
-        if (this.activePivotX != null && this.activePivotY != null && this.activePivotX >= 0 && this.activePivotX < this.mX && this.activePivotY >= 0 && this.activePivotY < this.mY) {
-            if (this.mouseDown) {
-                this.lastMouse.y = this.lastMouse.y != null ? this.lastMouse.y : event.clientY;
-                var movementY = event.clientY - this.lastMouse.y;
-
-                var newValue = this.vertexPivots[this.activePivotY][this.activePivotX].position.y - (movementY * 0.001);
-                this._setValue(this.activePivotX, this.activePivotY, newValue);
-    
-                this.lastMouse.y = event.clientY;
-
-                if (!this.cellSelected) {
-                    this.cellSelected = true;
-                }
+        this.pointerInside = true;
+    },
+
+    /**
+     * Start long press detection (touch/pen long press toggles the pan mode, like holding Ctrl)
+     */
+    _startLongPress: function() {
+        this._cancelLongPress();
+        this.longPressTimer = setTimeout(() => {
+            this.longPressTimer = null;
+            this.touchPanning = true;
+            this._disableCameraControls();
+            // the controls may have captured the pointer when the press started
+            if (this.primaryPointerId != null) {
+                this.renderer.domElement.setPointerCapture(this.primaryPointerId);
+            }
+        }, this.LONG_PRESS_DELAY);
+    },
+
+    /**
+     * Cancel long press detection
+     */
+    _cancelLongPress: function() {
+        if (this.longPressTimer != null) {
+            clearTimeout(this.longPressTimer);
+            this.longPressTimer = null;
+        }
+    },
+
+    /**
+     * Pan the camera by a screen offset (in pixels)
+     */
+    _panCamera: function(deltaX, deltaY) {
+        var element = this.renderer.domElement;
+        var offset = new THREE.Vector3().subVectors(this.camera.position, this.cameraControls.target);
+        // half of the fov is the distance from the center to the top of the screen
+        var targetDistance = this.camera === this.orthographicCamera ? this._getOrthographicHeight() / 2
+            : offset.length() * Math.tan((this.camera.fov / 2) * Math.PI / 180);
+        var pan = new THREE.Vector3();
+        var axis = new THREE.Vector3();
+
+        axis.setFromMatrixColumn(this.camera.matrix, 0).multiplyScalar(-2 * deltaX * targetDistance / element.clientHeight);
+        pan.add(axis);
+        axis.setFromMatrixColumn(this.camera.matrix, 1).multiplyScalar(2 * deltaY * targetDistance / element.clientHeight);
+        pan.add(axis);
+
+        this.camera.position.add(pan);
+        this.cameraControls.target.add(pan);
+        this.cameraControls.update();
+    },
+
+    /**
+     * Cancel the current pointer gesture (drag, selection or long press), e.g. when a second finger touches the chart
+     */
+    _cancelPointerGesture: function() {
+        this._cancelLongPress();
+        if (this.selectionArea != null) {
+            this.selectionArea = null;
+            this.selectionOverlay.style.display = "none";
+        }
+        if (this.dragState != null) {
+            this._endDrag();
+        }
+        this.touchPanning = false;
+        this._restoreCameraControls();
+        this._commitEdit();
+        this.pointerDown = false;
+        this.primaryPointerId = null;
+    },
+
+    /**
+     * Pointer move
+     */
+     _onPointerMoveEvent: function(event) {
+        this._requestRender();
+        if (this.activePointers.has(event.pointerId)) {
+            this.activePointers.set(event.pointerId, {x: event.clientX, y: event.clientY});
+        }
+        if (this.primaryPointerId != null && event.pointerId !== this.primaryPointerId) {
+            // other fingers are handled by the camera controls
+            return;
+        }
+
+        this._updatePointerPosition(event);
+
+        if (this.longPressTimer != null && this.pointerDownPosition.distanceTo(new THREE.Vector2(event.clientX, event.clientY)) > this.CLICK_TOLERANCE) {
+            this._cancelLongPress();
+        }
+
+        if (this.touchPanning) {
+            this._panCamera(event.clientX - this.lastPointer.x, event.clientY - this.lastPointer.y);
+        } else if (this.selectionArea != null) {
+            this._updateSelectionArea(event);
+        } else if (this.dragState != null && this.pointerDown) {
+            var movementY = event.clientY - this.lastPointer.y;
+            this.dragState.delta -= movementY / this.dragState.pixelsPerUnit;
+            this._applyDrag();
+
+            if (!this.cellSelected) {
+                this.cellSelected = true;
+            }
+        }
+
+        this.lastPointer.set(event.clientX, event.clientY);
+    },
+
+    /**
+     * Pointer down
+     */
+     _onPointerDownEvent: function(event) {
+        if (event.pointerType === "mouse" && event.button !== 0) {
+            return;
+        }
+
+        this.activePointers.set(event.pointerId, {x: event.clientX, y: event.clientY});
+        if (this.activePointers.size > 1) {
+            // multi-touch gestures (orbit/pinch-zoom) belong to the camera controls
+            this._cancelPointerGesture();
+            return;
+        }
+
+        this.primaryPointerId = event.pointerId;
+        this.pointerDown = true;
+        this.cellSelected = false;
+        this.lastPointer.set(event.clientX, event.clientY);
+        this.pointerDownPosition.set(event.clientX, event.clientY);
+        this.renderer.domElement.focus({preventScroll: true});
+
+        // touch has no hover, pick the pivot under the finger now
+        this._updatePointerPosition(event);
+        this._pickPivot();
+
+        if (this._isValidCell(this.activePivotX, this.activePivotY)) {
+            if (event.shiftKey) {
+                this._toggleCellSelection(this.activePivotX, this.activePivotY);
+            } else if (!this._isCellSelected(this.activePivotX, this.activePivotY)) {
+                this.setSelection([{x: this.activePivotX, y: this.activePivotY}]);
+            }
+
+            if (this._isCellSelected(this.activePivotX, this.activePivotY)) {
+                // the whole drag is a single undo step
+                this._beginEdit();
+                this._startDrag(this.activePivotX, this.activePivotY);
             }
+        } else if (event.shiftKey) {
+            this._startSelectionArea(event);
+        } else if (event.pointerType !== "mouse") {
+            this._startLongPress();
+        }
+
+        if (this.dragState != null || this.selectionArea != null) {
+            // keep receiving the events when the pointer leaves the chart
+            this.renderer.domElement.setPointerCapture(event.pointerId);
+        }
+    },
+
+    /**
+     * Pointer up/cancel (on the document, the pointer may be released out of the canvas), or lost pointer capture
+     */
+     _onPointerUpEvent: function(event) {
+        this.activePointers.delete(event.pointerId);
+        if (event.pointerId !== this.primaryPointerId) {
+            return;
+        }
+
+        this._cancelLongPress();
+        if (this.touchPanning) {
+            this.touchPanning = false;
+            this._restoreCameraControls();
+        } else if (this.selectionArea != null) {
+            this._endSelectionArea();
+        } else if (this.dragState != null) {
+            this._endDrag();
+        } else if (event.type === "pointerup" && this.pointerDown && !event.shiftKey &&
+            this.pointerDownPosition.distanceTo(new THREE.Vector2(event.clientX, event.clientY)) <= this.CLICK_TOLERANCE) {
+            // click on an empty area
+            this.clearSelection();
+        }
+        this.pointerDown = false;
+        this.primaryPointerId = null;
+        this._commitEdit();
+
+        if (event.pointerType !== "mouse") {
+            // no hover without a pointer over the chart
+            this.pointerInside = false;
         }
     },
 
     /**
-     * Mouse down
+     * Pointer leave
      */
-     _onMouseDownEvent: function(event) {
-        if (event.button === 0) {
-            this.mouseDown = true;
-            this.cellSelected = false;
-            this.lastMouse.y = event.clientY;
+     _onPointerLeaveEvent: function(event) {
+        this._requestRender();
+        if (!this.pointerDown) {
+            this.pointerInside = false;
         }
     },
 
     /**
-     * Mouse up 
+     * Copy
+     */
+     _onCopyEvent: function(event) {
+        event.clipboardData.setData("text/plain", this._exportClipboardData());
+        event.preventDefault();
+    },
+
+    /**
+     * Paste
      */
-     _onMouseUpEvent: function(event) {
-        this.mouseDown = false;
-        if (this.activePivotX != null && this.activePivotY != null) {
-            var value = this.matrix[this.activePivotY][this.activePivotX].value;
-            if (value != null) {
-                value = Math.round(value * 100000) / 100000;
+     _onPasteEvent: function(event) {
+        var text = event.clipboardData.getData("text/plain");
+        event.preventDefault();
+        if (text) {
+            try {
+                this._importClipboardData(text);
+            } catch (ex) {
+                // nothing to catch it in the event listener
+                this._emit("error", {cells: [], error: ex});
             }
-            this._updateVertexColors();
         }
     },
 
@@ -643,6 +5084,42 @@ MatrixHeightMap.prototype = {
      * Key down 
      */
      _onKeyDownEvent: function(event) {
+        var key = event.key != null ? event.key : "";
+        if (event.ctrlKey || event.metaKey) {
+            key = key.toLowerCase();
+            if (key === "z" && !event.shiftKey) {
+                event.preventDefault();
+                this.undo();
+            } else if (key === "y" || (key === "z" && event.shiftKey)) {
+                event.preventDefault();
+                this.redo();
+            }
+        } else if (!event.altKey) {
+            var arrows = {
+                ArrowLeft: [-1, 0],
+                ArrowRight: [1, 0],
+                ArrowUp: [0, -1],
+                ArrowDown: [0, 1]
+            };
+            if (arrows[key] != null) {
+                event.preventDefault();
+                this._moveFocus(arrows[key][0], arrows[key][1], event.shiftKey);
+            } else if (key === "+" || key === "=" || event.code === "NumpadAdd") {
+                event.preventDefault();
+                this._stepValue(1, event.shiftKey);
+            } else if (event.code === "NumpadSubtract" || key === "_") {
+                event.preventDefault();
+                this._stepValue(-1, event.shiftKey);
+            } else if (key === "Enter" || key === "F2") {
+                event.preventDefault();
+                this._openCellEditor();
+            } else if (/^[0-9.-]$/.test(key)) {
+                // '-' starts a negative value (the numpad '-' steps the value)
+                event.preventDefault();
+                this._openCellEditor(key);
+            }
+        }
+
         if (event.ctrlKey) {
             this.cameraControls.enableRotate = false;
             this.cameraControls.enablePan = true;
@@ -657,7 +5134,29 @@ MatrixHeightMap.prototype = {
             this.cameraControls.enableRotate = true;
             this.cameraControls.enablePan = false;
         }
+    },
+
+    /**
+     * Blur (the key up event is lost when the chart loses focus)
+     */
+     _onBlurEvent: function() {
+        this.cameraControls.enableRotate = true;
+        this.cameraControls.enablePan = false;
     }
 
     //#endregion
-}
\ No newline at end of file
+}
+
+/**
+ * Built-in color palettes (color stops from min to max)
+ */
+MatrixHeightMap.COLOR_PALETTES = {
+    viridis: ["#440154", "#482878", "#3E4989", "#31688E", "#26828E", "#1F9E89", "#35B779", "#6ECE58", "#B5DE2B", "#FDE725"],
+    magma: ["#000004", "#180F3D", "#440F76", "#721F81", "#9E2F7F", "#CD4071", "#F1605D", "#FD9668", "#FECA8D", "#FCFDBF"],
+    grayscale: ["#000000", "#FFFFFF"],
+    diverging: ["#2166AC", "#67A9CF", "#D1E5F0", "#F7F7F7", "#FDDBC7", "#EF8A62", "#B2182B"]
+};
+
+if (typeof(module) !== "undefined" && module.exports) {
+    module.exports = MatrixHeightMap;
+}
@@ -0,0 +1,97 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const MatrixHeightMapMesh = require("../src/matrix-hm-mesh.js");
+
+// a unit square in the XZ plane (front face up) and a triangle of a wall
+function createParts() {
+    return [{
+        name: "surface",
+        positions: [0, 0, 0, 1, 0, 0, 1, 0.5, 1, 0, 0.25, 1],
+        colors: [1, 0, 0, 0, 1, 0, 0, 0, 1, 0.5, 0.5, 0.5],
+        indices: [0, 3, 1, 3, 2, 1]
+    }, {
+        name: "wall",
+        positions: [0, 0, 0, 1, 0, 0, 0, 1, 0],
+        colors: [0, 0, 0, 0, 0, 0, 0, 0, 0],
+        indices: [0, 1, 2]
+    }];
+}
+
+test("formatNumber keeps 6 decimals without trailing zeros", () => {
+    assert.strictEqual(MatrixHeightMapMesh.formatNumber(0.1234567), "0.123457");
+    assert.strictEqual(MatrixHeightMapMesh.formatNumber(-0.5), "-0.5");
+    assert.strictEqual(MatrixHeightMapMesh.formatNumber(2), "2");
+});
+
+test("OBJ has the vertices with colors and the faces of every part (1-based indices)", () => {
+    assert.strictEqual(MatrixHeightMapMesh.export("obj", createParts()), [
+        "# MatrixHeightMap",
+        "o surface",
+        "v 0 0 0 1 0 0",
+        "v 1 0 0 0 1 0",
+        "v 1 0.5 1 0 0 1",
+        "v 0 0.25 1 0.5 0.5 0.5",
+        "f 1 4 2",
+        "f 4 3 2",
+        "o wall",
+        "v 0 0 0 0 0 0",
+        "v 1 0 0 0 0 0",
+        "v 0 1 0 0 0 0",
+        "f 5 6 7",
+        ""
+    ].join("\n"));
+});
+
+test("STL has a facet with its unit normal per triangle", () => {
+    var text = MatrixHeightMapMesh.export("stl", createParts());
+    var lines = text.split("\n");
+    assert.strictEqual(lines[0], "solid matrix_heightmap");
+    assert.strictEqual(lines[lines.length - 2], "endsolid matrix_heightmap");
+    assert.strictEqual(lines.filter((line) => line.trim().startsWith("facet normal")).length, 3);
+    assert.deepStrictEqual(lines.slice(1, 8), [
+        "  facet normal 0 0.970143 -0.242536",
+        "    outer loop",
+        "      vertex 0 0 0",
+        "      vertex 0 0.25 1",
+        "      vertex 1 0 0",
+        "    endloop",
+        "  endfacet"
+    ]);
+    // the wall faces +Z
+    assert.match(text, /facet normal 0 0 1\n {4}outer loop\n {6}vertex 0 0 0\n {6}vertex 1 0 0\n {6}vertex 0 1 0\n/);
+});
+
+test("glTF has a primitive per part with the data in the embedded buffer", () => {
+    var gltf = JSON.parse(MatrixHeightMapMesh.export("gltf", createParts()));
+    assert.strictEqual(gltf.asset.version, "2.0");
+    assert.strictEqual(gltf.meshes[0].name, "surface+wall");
+    assert.strictEqual(gltf.meshes[0].primitives.length, 2);
+
+    var buffer = Buffer.from(gltf.buffers[0].uri.split(",")[1], "base64");
+    assert.strictEqual(buffer.length, gltf.buffers[0].byteLength);
+    var read = (accessorIndex) => {
+        var accessor = gltf.accessors[accessorIndex];
+        var view = gltf.bufferViews[accessor.bufferView];
+        var bytes = buffer.subarray(view.byteOffset, view.byteOffset + view.byteLength);
+        var values = new Uint8Array(bytes).buffer;
+        return Array.from(accessor.componentType === 5125 ? new Uint32Array(values) : new Float32Array(values));
+    };
+
+    var surface = gltf.meshes[0].primitives[0];
+    assert.deepStrictEqual(read(surface.attributes.POSITION), [0, 0, 0, 1, 0, 0, 1, 0.5, 1, 0, 0.25, 1]);
+    assert.deepStrictEqual(read(surface.indices), [0, 3, 1, 3, 2, 1]);
+    assert.deepStrictEqual(gltf.accessors[surface.attributes.POSITION].min, [0, 0, 0]);
+    assert.deepStrictEqual(gltf.accessors[surface.attributes.POSITION].max, [1, 0.5, 1]);
+    // linear vertex colors
+    var colors = read(surface.attributes.COLOR_0);
+    assert.deepStrictEqual(colors.slice(0, 9), [1, 0, 0, 0, 1, 0, 0, 0, 1]);
+    assert.ok(Math.abs(colors[9] - 0.214041) < 1e-6);
+
+    var wall = gltf.meshes[0].primitives[1];
+    assert.deepStrictEqual(read(wall.indices), [0, 1, 2]);
+    assert.strictEqual(gltf.accessors[wall.attributes.POSITION].count, 3);
+});
+
+test("an unknown format is rejected", () => {
+    assert.throws(() => MatrixHeightMapMesh.export("ply", createParts()), /unknown mesh format "ply"/);
+});
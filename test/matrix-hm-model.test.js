@@ -0,0 +1,216 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const MatrixHeightMapModel = require("../src/matrix-hm-model.js");
+
+function createModel(params) {
+    return new MatrixHeightMapModel(Object.assign({
+        min: 0,
+        max: 100,
+        axis: {x: ["A", "B", "C"], y: ["1", "2"]}
+    }, params));
+}
+
+test("normalize and denormalize convert between real units and [0, 1]", () => {
+    var model = createModel({min: -50, max: 150});
+    assert.strictEqual(model.normalize(-50), 0);
+    assert.strictEqual(model.normalize(150), 1);
+    assert.strictEqual(model.normalize(50), 0.5);
+    assert.strictEqual(model.denormalize(0.25), 0);
+    assert.strictEqual(model.denormalize(model.normalize(12.5)), 12.5);
+});
+
+test("values round-trip through setData/getData", () => {
+    var model = createModel({min: 10, max: 20});
+    var data = [[10, 12.5, 20], [11.11111, 15, 19.99999]];
+    model.setData(data);
+    assert.deepStrictEqual(model.getData(), data);
+    assert.strictEqual(model.getNormalizedValue(1, 0), 0.25);
+});
+
+test("clamp keeps normalized values in [0, 1]", () => {
+    var model = createModel();
+    assert.strictEqual(model.clamp(-0.5), 0);
+    assert.strictEqual(model.clamp(0.3), 0.3);
+    assert.strictEqual(model.clamp(1.5), 1);
+});
+
+test("out of range values are clamped to [min, max]", () => {
+    var model = createModel();
+    model.setData([[-10, 50, 110], [0, 100, 1e9]]);
+    assert.deepStrictEqual(model.getData(), [[0, 50, 100], [0, 100, 100]]);
+    assert.strictEqual(model.setValue(0, 0, 250), 100);
+    assert.strictEqual(model.setValue(0, 0, -250), 0);
+    assert.strictEqual(model.setNormalizedValue(1, 1, 2), 1);
+});
+
+test("invalid cells and values are rejected", () => {
+    var model = createModel();
+    assert.throws(() => model.setValue(3, 0, 10), RangeError);
+    assert.throws(() => model.getValue(0, -1), RangeError);
+    assert.throws(() => model.setValue(0, 0, "10"), /must be a number/);
+    assert.throws(() => model.setValue(0, 0, Infinity), /must be a number/);
+});
+
+test("min === max maps every value to min", () => {
+    var model = createModel({min: 5, max: 5});
+    assert.strictEqual(model.normalize(5), 0);
+    assert.strictEqual(model.normalize(100), 0);
+    model.setData([[1, 5, 9], [5, 5, 5]]);
+    assert.deepStrictEqual(model.getData(), [[5, 5, 5], [5, 5, 5]]);
+    assert.strictEqual(model.setValue(2, 1, 42), 5);
+});
+
+test("an invalid range is rejected", () => {
+    assert.throws(() => createModel({min: 10, max: 0}), /invalid range/);
+    assert.throws(() => createModel({min: 0, max: NaN}), /invalid range/);
+});
+
+test("setData rejects a dimension mismatch and keeps the data", () => {
+    var model = createModel({data: [[1, 2, 3], [4, 5, 6]]});
+
+    assert.throws(() => model.setData([[1, 2, 3]]), (e) => {
+        assert.deepStrictEqual(e.errors.map((entry) => entry.message), ["expected 2 rows but found 1"]);
+        return true;
+    });
+
+    assert.throws(() => model.setData([[1, 2], [4, 5, 6, 7]]), (e) => {
+        assert.deepStrictEqual(e.errors.map((entry) => entry.row), [0, 1]);
+        assert.match(e.message, /row 1: expected 3 values but found 2/);
+        assert.match(e.message, /row 2: expected 3 values but found 4/);
+        return true;
+    });
+
+    assert.throws(() => model.setData([[1, "x", 3], [4, 5, 6]]), (e) => {
+        assert.deepStrictEqual(e.errors, [{row: 0, column: 1, message: "row 1, column 2: \"x\" is not a number"}]);
+        return true;
+    });
+
+    assert.throws(() => model.setData("not a matrix"), /not an array of rows/);
+    assert.deepStrictEqual(model.getData(), [[1, 2, 3], [4, 5, 6]]);
+});
+
+test("missing values are kept as no data", () => {
+    var model = createModel();
+    model.setData([[null, NaN, 5], [1, 2, 3]]);
+    assert.deepStrictEqual(model.getData(), [[null, null, 5], [1, 2, 3]]);
+    assert.strictEqual(model.isMissing(0, 0), true);
+    assert.strictEqual(model.setValue(2, 0, null), null);
+});
+
+test("missing reference cells are kept as no data and have no delta", () => {
+    var model = createModel({data: [[1, 2, null], [4, 5, 6]], reference: [[null, 1, 1], [4, NaN, 5]]});
+    assert.deepStrictEqual(model.getReference(), [[null, 1, 1], [4, null, 5]]);
+    var diff = model.getDiff();
+    assert.deepStrictEqual(diff.data, [[null, 1, null], [0, null, 1]]);
+    assert.deepStrictEqual(diff.cells.map((cell) => [cell.x, cell.y]), [[1, 0], [2, 1]]);
+});
+
+test("inserted and added cells have no reference value", () => {
+    var model = createModel({data: [[1, 2, 3], [4, 5, 6]], reference: [[1, 1, 1], [4, 4, 4]]});
+    model.insertColumn(1, "X", [7, 8]);
+    model.insertRow(0, "0", [9, 9, 9, 9]);
+    model.setAxis({x: ["A", "X", "B", "C", "D"]});
+    assert.deepStrictEqual(model.getReference(), [[null, null, null, null, null], [1, null, 1, 1, null], [4, null, 4, 4, null]]);
+    assert.deepStrictEqual(model.getDiff().data, [[null, null, null, null, null], [0, null, 1, 2, null], [0, null, 1, 2, null]]);
+});
+
+test("interpolate and gradient reject missing input cells", () => {
+    var model = new MatrixHeightMapModel({min: 0, max: 100, axis: {x: ["A", "B", "C"], y: ["1", "2", "3"]},
+        data: [[0, 10, null], [10, 50, 30], [20, 30, 40]]});
+    assert.throws(() => model.computeOperation("interpolate"), /cells \[2, 0\] \(no data\)/);
+    assert.throws(() => model.computeOperation("interpolate", {area: {x: 0, y: 0, width: 3, height: 1}}), /no data/);
+    assert.throws(() => model.computeOperation("gradient"), /no data/);
+
+    var cells = model.computeOperation("gradient", {corners: [0, 20, 20, 40]});
+    assert.strictEqual(cells.length, 8);
+    cells = model.computeOperation("interpolate", {area: {x: 0, y: 1, width: 3, height: 2}});
+    assert.deepStrictEqual(cells.map((cell) => model.round(cell.value)), [0.1, 0.5, 0.3, 0.2, 0.3, 0.4]);
+});
+
+test("inserted columns and rows keep missing values and reject non-numeric values", () => {
+    var model = createModel({data: [[1, 2, 3], [4, 5, 6]]});
+    model.insertColumn(1, "X", [null, NaN]);
+    model.insertRow(0, "0", [7, null, 8]);
+    assert.deepStrictEqual(model.getData(), [[7, null, 8, 0], [1, null, 2, 3], [4, null, 5, 6]]);
+
+    assert.throws(() => model.insertColumn(0, "Y", [1, "abc", 2]), /must be a number/);
+    assert.throws(() => model.insertRow(0, "-1", [1, 2, Infinity, 3]), /must be a number/);
+    assert.deepStrictEqual(model.XAxisNames, ["A", "X", "B", "C"]);
+    assert.deepStrictEqual(model.YAxisNames, ["0", "1", "2"]);
+});
+
+test("constrainValues checks the constraints against the new values of the other cells", () => {
+    var model = createModel({axis: {x: ["A", "B", "C", "D"], y: ["1", "2"]}, data: [[10, 20, 30, 40], [50, 60, 70, 80]],
+        constraints: {monotonic: "x"}});
+    var cells = model.computeOperation("offset", {value: 15, area: {x: 0, y: 0, width: 4, height: 1}});
+    var toValues = (results) => results.map((result) => model.round(model.denormalize(result.value)));
+
+    assert.deepStrictEqual(toValues(model.constrainValues(cells)), [25, 35, 45, 55]);
+    assert.deepStrictEqual(toValues(model.constrainValues(cells.slice().reverse())), [55, 45, 35, 25]);
+
+    model.setLocked({x: 2, y: 0});
+    var results = model.constrainValues(cells);
+    assert.deepStrictEqual(toValues(results), [25, 30, 30, 55]);
+    assert.deepStrictEqual(results.map((result) => result.reason), [null, "monotonic", "locked", null]);
+});
+
+// an instance that edits its copy of the data and emits the edits as patches (like the chart 'patch' event)
+function createPeer(source, data) {
+    var peer = {source: source, version: 0, model: createModel({data: data})};
+    peer.edit = (cells) => {
+        var patch = {source: source, version: ++peer.version, cells: []};
+        for (const cell of cells) {
+            var from = peer.model.getValue(cell.x, cell.y);
+            patch.cells.push({x: cell.x, y: cell.y, xName: peer.model.XAxisNames[cell.x], yName: peer.model.YAxisNames[cell.y],
+                from: from, to: peer.model.setValue(cell.x, cell.y, cell.value)});
+        }
+        return patch;
+    };
+    return peer;
+}
+
+test("two instances stay in sync through patches and report conflicts", () => {
+    var data = [[1, 2, 3], [4, 5, 6]];
+    var a = createPeer("a", data);
+    var b = createPeer("b", data);
+
+    var result = b.model.applyPatch(a.edit([{x: 0, y: 0, value: 10}, {x: 1, y: 1, value: null}]));
+    assert.deepStrictEqual(result.applied, [{x: 0, y: 0, value: 10}, {x: 1, y: 1, value: null}]);
+    assert.deepStrictEqual(result.conflicts, []);
+    assert.deepStrictEqual(b.model.getData(), a.model.getData());
+
+    // concurrent edits of the same cell
+    var patchA = a.edit([{x: 2, y: 0, value: 30}]);
+    var patchB = b.edit([{x: 2, y: 0, value: 40}]);
+    result = b.model.applyPatch(patchA);
+    assert.deepStrictEqual(result.applied, []);
+    assert.deepStrictEqual(result.conflicts, [{x: 2, y: 0, from: 3, to: 30, value: 40, reason: "value"}]);
+    result = a.model.applyPatch(patchB, "overwrite");
+    assert.deepStrictEqual(result.applied, [{x: 2, y: 0, value: 40}]);
+    assert.deepStrictEqual(b.model.getData(), a.model.getData());
+    assert.strictEqual(b.model.patchVersions.get("a"), 2);
+    assert.strictEqual(a.model.patchVersions.get("b"), 1);
+});
+
+test("patches received twice or after missed versions are conflicts", () => {
+    var a = createPeer("a", [[1, 2, 3], [4, 5, 6]]);
+    var relay = createModel({data: [[1, 2, 3], [4, 5, 6]]});
+
+    var first = a.edit([{x: 0, y: 0, value: 10}]);
+    relay.applyPatch(first);
+    var result = relay.applyPatch(first, "overwrite");
+    assert.deepStrictEqual(result.applied, []);
+    assert.deepStrictEqual(result.conflicts, [{x: 0, y: 0, from: 1, to: 10, value: 10, reason: "stale"}]);
+
+    a.edit([{x: 1, y: 0, value: 20}]); // lost
+    var third = a.edit([{x: 2, y: 0, value: 30}]);
+    assert.deepStrictEqual(relay.checkPatch(third).conflicts, [{x: 2, y: 0, from: 3, to: 30, value: 3, reason: "gap"}]);
+    result = relay.applyPatch(third);
+    assert.deepStrictEqual(result.applied, []);
+    assert.strictEqual(relay.patchVersions.get("a"), 3);
+
+    // in sequence again after the gap
+    result = relay.applyPatch(a.edit([{x: 0, y: 1, value: 40}]));
+    assert.deepStrictEqual(result.applied, [{x: 0, y: 1, value: 40}]);
+    assert.throws(() => relay.applyPatch({source: "a", cells: []}), /invalid patch version/);
+});
@@ -0,0 +1,298 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("node:fs");
+const vm = require("node:vm");
+const {JSDOM} = require("jsdom");
+
+// the chart is a browser script: run it in a DOM with THREE and OrbitControls, without WebGL (nothing is drawn)
+const dom = new JSDOM("<!DOCTYPE html><html><head></head><body></body></html>");
+global.window = dom.window;
+global.document = dom.window.document;
+global.requestAnimationFrame = () => 0;
+global.cancelAnimationFrame = () => {};
+global.THREE = require("three");
+vm.runInThisContext(fs.readFileSync(require.resolve("three/examples/js/controls/OrbitControls.js"), "utf8"));
+THREE.WebGLRenderer = function() {
+    this.domElement = document.createElement("canvas");
+    this.setClearColor = this.setPixelRatio = this.setSize = this.render = this.dispose = this.forceContextLoss = () => {};
+};
+window.HTMLCanvasElement.prototype.getContext = () => new Proxy({}, {
+    get: (target, key) => key in target ? target[key] : (key === "measureText" ? () => ({width: 10}) : () => {}),
+    set: (target, key, value) => {
+        target[key] = value;
+        return true;
+    }
+});
+global.MatrixHeightMapModel = require("../src/matrix-hm-model.js");
+global.MatrixHeightMapMesh = require("../src/matrix-hm-mesh.js");
+const MatrixHeightMap = require("../src/matrix-hm.js");
+
+function createChart(params) {
+    var container = document.createElement("div");
+    Object.defineProperty(container, "offsetWidth", {value: 400});
+    Object.defineProperty(container, "offsetHeight", {value: 300});
+    document.body.appendChild(container);
+    var chart = new MatrixHeightMap(Object.assign({
+        container: container,
+        min: 0,
+        max: 100,
+        axis: {x: ["A", "B", "C"], y: ["1", "2"]},
+        data: [[1, 2, 3], [4, 5, 6]]
+    }, params));
+    chart.events = [];
+    for (const eventName of ["change", "patch"]) {
+        chart.on(eventName, (event) => chart.events.push(event));
+    }
+    return chart;
+}
+
+// a mouse pointer event (jsdom has no PointerEvent)
+function dispatchPointer(target, type, x, y) {
+    var event = new window.MouseEvent(type, {clientX: x, clientY: y, button: 0, bubbles: true});
+    Object.defineProperty(event, "pointerId", {value: 1});
+    Object.defineProperty(event, "pointerType", {value: "mouse"});
+    target.dispatchEvent(event);
+}
+
+test("a patch emitted by an instance is applied by another one without echo", () => {
+    var a = createChart({source: "a"});
+    var b = createChart({source: "b"});
+    a.on("patch", (event) => b.applyPatch(event.patch));
+
+    a.setValue(0, 0, 10);
+    assert.deepStrictEqual(b.getData(), a.getData());
+    assert.strictEqual(a.getVersion(), 1);
+    assert.strictEqual(b.getVersion(), 0);
+    assert.deepStrictEqual(b.events.map((event) => event.type), ["change"]);
+    assert.strictEqual(b.patchVersions.get("a"), 1);
+    a.dispose();
+    b.dispose();
+});
+
+test("a patch received during a pointer gesture is committed on its own", () => {
+    var a = createChart({source: "a"});
+    var b = createChart({source: "b"});
+
+    // mouse held down on an empty area of b (e.g. orbiting)
+    dispatchPointer(b.renderer.domElement, "pointerdown", 10, 10);
+    a.applyOperation("set", {value: 50, area: {x: 0, y: 0, width: 2, height: 1}});
+    var result = b.applyPatch(a.events[0].patch);
+    assert.deepStrictEqual(result.applied.map((cell) => [cell.x, cell.y, cell.value]), [[0, 0, 50], [1, 0, 50]]);
+    assert.deepStrictEqual(b.events.map((event) => event.type), ["change"]);
+    dispatchPointer(b.renderer.domElement, "pointerup", 200, 10);
+
+    // the patch isn't sent back, and it's an undo step of its own
+    assert.deepStrictEqual(b.events.map((event) => event.type), ["change"]);
+    assert.strictEqual(b.getVersion(), 0);
+    assert.strictEqual(b.undoStack.length, 1);
+    assert.ok(b.undo());
+    assert.deepStrictEqual(b.getData(), [[1, 2, 3], [4, 5, 6]]);
+    a.dispose();
+    b.dispose();
+});
+
+test("the patched cells are the old values of the edit in progress", () => {
+    var b = createChart({source: "b"});
+    b._beginEdit();
+    b.setValue(0, 0, 20);
+    b.applyPatch({source: "a", version: 1, layer: "default", cells: [{x: 0, y: 0, from: 1, to: 30}]}, {conflicts: "overwrite"});
+    b.setValue(0, 0, 40);
+    b._commitEdit();
+
+    assert.deepStrictEqual(b.undoStack.map((entry) => entry.changes.map((change) => [b._toRealValue(change.from), b._toRealValue(change.to)])),
+        [[[20, 30]], [[30, 40]]]);
+    assert.deepStrictEqual(b.events.filter((event) => event.type === "patch").map((event) => event.patch.cells),
+        [[{x: 0, y: 0, xName: "A", yName: "1", from: 30, to: 40}]]);
+    b.dispose();
+});
+
+test("a patch of an inactive layer is applied to that layer, and of an unknown layer is a conflict", () => {
+    var a = createChart({source: "a"});
+    var b = createChart({source: "b"});
+    a.addLayer("other");
+    b.addLayer("other");
+    a.setActiveLayer("other");
+
+    a.setValue(2, 1, 70);
+    var result = b.applyPatch(a.events[0].patch);
+    assert.deepStrictEqual(result.applied, [{x: 2, y: 1, xName: "C", yName: "2", value: 70, previousValue: 0}]);
+    assert.strictEqual(b.getModel("other").getValue(2, 1), 70);
+    assert.deepStrictEqual(b.getData(), [[1, 2, 3], [4, 5, 6]]);
+    assert.deepStrictEqual(b.events, []);
+
+    // an undo step of the layer
+    b.setActiveLayer("other");
+    assert.ok(b.undo());
+    assert.strictEqual(b.getModel("other").getValue(2, 1), 0);
+
+    result = b.applyPatch({source: "a", version: 2, layer: "unknown", cells: [{x: 0, y: 0, from: 1, to: 2}]});
+    assert.deepStrictEqual(result, {applied: [], conflicts: [{x: 0, y: 0, from: 1, to: 2, value: null, reason: "layer"}]});
+    assert.strictEqual(b.patchVersions.get("a"), 2);
+    a.dispose();
+    b.dispose();
+});
+
+test("an edit that throws doesn't leave the edit open", () => {
+    var chart = createChart();
+    assert.throws(() => chart.setValue(3, 0, 10), RangeError);
+    assert.throws(() => chart._applyCells([{x: 2, y: 0, value: 0.5}, {x: 3, y: 0, value: 0.5}]), RangeError);
+
+    chart.setValue(0, 0, 10);
+    assert.deepStrictEqual(chart.events.map((event) => event.type), ["patch", "change"]);
+    assert.ok(chart.undo());
+    assert.strictEqual(chart.getModel().getValue(0, 0), 1);
+    chart.dispose();
+});
+
+test("a pointer gesture ends when the pointer is released out of the canvas or the capture is lost", () => {
+    var chart = createChart();
+    var canvas = chart.renderer.domElement;
+
+    dispatchPointer(canvas, "pointerdown", 10, 10);
+    assert.strictEqual(chart.pointerDown, true);
+    // a click or an orbit doesn't open an edit
+    assert.strictEqual(chart.pendingEdit, null);
+    dispatchPointer(chart.canvasContainer, "pointerup", 300, 10);
+    assert.strictEqual(chart.pointerDown, false);
+
+    dispatchPointer(canvas, "pointerdown", 10, 10);
+    dispatchPointer(canvas, "lostpointercapture", 10, 10);
+    assert.strictEqual(chart.pointerDown, false);
+    chart.dispose();
+});
+
+test("setValue keeps null as no data and rejects the values that are not numbers", () => {
+    var chart = createChart();
+    chart.setValue(1, 0, null);
+    assert.strictEqual(chart.getModel().getValue(1, 0), null);
+    for (const value of ["abc", NaN, Infinity, undefined]) {
+        assert.throws(() => chart.setValue(0, 0, value), /must be a number or null/);
+    }
+    assert.strictEqual(chart.getModel().getValue(0, 0), 1);
+    assert.deepStrictEqual(chart.events.map((event) => event.type), ["patch", "change"]);
+    chart.dispose();
+});
+
+test("importData is a single undo step, or clears the history when the axis change", () => {
+    var chart = createChart();
+    var changes = [];
+    chart.on("datachange", (event) => changes.push(event));
+
+    chart.importData("x,A,B,C\n1,10,20,30\n2,40,50,60", "csv");
+    assert.strictEqual(changes.length, 1);
+    assert.ok(chart.undo());
+    assert.deepStrictEqual(chart.getData(), [[1, 2, 3], [4, 5, 6]]);
+
+    chart.importData("x,A,B,X\n1,10,20,30\n2,40,50,60", "csv");
+    assert.strictEqual(changes.length, 2);
+    assert.deepStrictEqual(chart.getModel().XAxisNames, ["A", "B", "X"]);
+    assert.deepStrictEqual(chart.getData(), [[10, 20, 30], [40, 50, 60]]);
+    assert.strictEqual(chart.canUndo(), false);
+    chart.dispose();
+});
+
+test("malformed pasted data is reported by the error event", () => {
+    var chart = createChart();
+    var errors = [];
+    chart.on("error", (event) => errors.push(event.error));
+
+    var event = new window.Event("paste", {cancelable: true});
+    event.clipboardData = {getData: () => "1\tabc"};
+    chart.renderer.domElement.dispatchEvent(event);
+    assert.strictEqual(errors.length, 1);
+    assert.match(errors[0].message, /not a number/);
+    assert.deepStrictEqual(chart.getData(), [[1, 2, 3], [4, 5, 6]]);
+    chart.dispose();
+});
+
+test("the table view only updates the cells that changed", () => {
+    var chart = createChart({table: true});
+    chart._updateTable();
+    var updated = [];
+    var updateTableCell = chart._updateTableCell;
+    chart._updateTableCell = function(x, y) {
+        updated.push([x, y]);
+        updateTableCell.call(this, x, y);
+    };
+
+    chart._updateTable();
+    assert.deepStrictEqual(updated, []);
+
+    chart.setValue(1, 0, 50);
+    chart._updateTable();
+    assert.deepStrictEqual(updated.splice(0), [[1, 0]]);
+    assert.strictEqual(chart.tableCells[0][1].textContent, "50");
+
+    chart.setSelection([{x: 2, y: 1}]);
+    chart._updateTable();
+    chart.setSelection([{x: 0, y: 0}]);
+    chart._updateTable();
+    assert.deepStrictEqual(updated.splice(0), [[2, 1], [2, 1], [0, 0]]);
+    assert.ok(chart.tableCells[0][0].classList.contains("selected"));
+    assert.ok(!chart.tableCells[1][2].classList.contains("selected"));
+
+    chart.setLocked({row: 1});
+    chart._updateTable();
+    assert.strictEqual(updated.length, 6);
+    assert.ok(chart.tableCells[1][0].classList.contains("locked"));
+    chart.dispose();
+});
+
+test("a marker update recolors the surface around the hit cell, and all of it when the max hit count changes", () => {
+    var chart = createChart({smoothing: 4, hitMap: true});
+    var updates = [];
+    var updateSurfaceVertices = chart._updateSurfaceVertices;
+    chart._updateSurfaceVertices = function(startX, startY, endX, endY) {
+        updates.push([startX, startY, endX, endY]);
+        updateSurfaceVertices.call(this, startX, startY, endX, endY);
+    };
+
+    chart.setMarker("a", {x: 1, y: 1});
+    chart.setMarker("b", {x: 0, y: 0});
+    chart._updateMarkers();
+    assert.deepStrictEqual(updates.splice(0), [[0, 0, chart.surfaceSizeX - 1, chart.surfaceSizeY - 1]]);
+
+    chart.setMarker("b", {x: 2.2, y: 0.9});
+    chart._updateMarkers();
+    assert.deepStrictEqual(updates.splice(0), [[6, 2, 9, 5]]);
+    chart._updateMarkers();
+    assert.deepStrictEqual(updates, []);
+    chart.dispose();
+});
+
+test("typing '-' opens the cell editor and the numpad '-' steps the value", () => {
+    var chart = createChart({min: -100, max: 100, step: 1});
+    var canvas = chart.renderer.domElement;
+    chart.setFocusedCell(0, 0);
+
+    canvas.dispatchEvent(new window.KeyboardEvent("keydown", {key: "-", code: "NumpadSubtract", bubbles: true}));
+    assert.strictEqual(chart.getModel().getValue(0, 0), 0);
+    assert.strictEqual(chart.cellEditor, null);
+
+    canvas.dispatchEvent(new window.KeyboardEvent("keydown", {key: "-", code: "Minus", bubbles: true}));
+    assert.strictEqual(chart.cellEditor.input.value, "-");
+    chart.cellEditor.input.value = "-20";
+    chart.cellEditor.input.dispatchEvent(new window.KeyboardEvent("keydown", {key: "Enter", bubbles: true}));
+    assert.strictEqual(chart.getModel().getValue(0, 0), -20);
+    chart.dispose();
+});
+
+test("removing a column closes the cell editor and keeps the markers in the matrix", () => {
+    var chart = createChart();
+    chart.setMarker("a", {x: 2, y: 1});
+    chart.setMarker("a", {x: 1.5, y: 0});
+    chart.setFocusedCell(2, 0);
+    chart._openCellEditor("5");
+    var input = chart.cellEditor.input;
+
+    chart.removeColumn(2);
+    assert.strictEqual(chart.cellEditor, null);
+    input.dispatchEvent(new window.Event("blur"));
+    assert.deepStrictEqual(chart.getData(), [[1, 2], [4, 5]]);
+    assert.deepStrictEqual(chart.getMarkers().map((marker) => [marker.x, marker.y]), [[1, 0]]);
+    assert.deepStrictEqual(chart.markers.get("a").positions, [{x: 1, y: 0}, {x: 1, y: 1}]);
+
+    chart.setValue(0, 0, 10);
+    assert.deepStrictEqual(chart.events.map((event) => event.type), ["patch", "change"]);
+    chart.dispose();
+});